@@ -0,0 +1,42 @@
+// server/auth.js
+// Account passwords and bearer tokens. Clients send a PBKDF2 hash of the
+// password rather than the password itself; it is hashed again with scrypt
+// before it is stored. Tokens are stored as SHA-256 hashes.
+const crypto = require('crypto');
+
+const TOKEN_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const scrypt = (secret, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(secret, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+const hashPassword = async (secret) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(secret, salt)).toString('hex');
+  return { passwordSalt: salt, passwordHash: hash };
+};
+
+const verifyPassword = async (secret, { passwordSalt, passwordHash }) => {
+  const hash = await scrypt(secret, passwordSalt);
+  return crypto.timingSafeEqual(hash, Buffer.from(passwordHash, 'hex'));
+};
+
+// Checked in place of a missing account, so unknown emails take as long to
+// reject as wrong passwords. No secret hashes to all zeros.
+const DUMMY_CREDENTIALS = { passwordSalt: '0'.repeat(32), passwordHash: '0'.repeat(128) };
+
+const createToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createUserId = () => crypto.randomBytes(14).toString('hex');
+
+module.exports = {
+  TOKEN_LIFETIME,
+  DUMMY_CREDENTIALS,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  createUserId
+};
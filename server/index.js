@@ -0,0 +1,30 @@
+// server/index.js
+// Self-hosted sync server - an alternative to Firestore that stores only
+// encrypted note blobs and key metadata, in JSON files. No dependencies:
+//
+//   node server/index.js
+//
+// Settings (environment):
+//   PORT         port to listen on (default 4000)
+//   DATA_DIR     where the JSON files go (default server/data)
+//   CORS_ORIGIN  origin allowed to call the API (default *)
+//
+// Point the app at it with REACT_APP_NOTES_BACKEND=server and
+// REACT_APP_SYNC_SERVER_URL=http://localhost:4000
+const http = require('http');
+const path = require('path');
+const { FileStore } = require('./store');
+const { createHandler } = require('./routes');
+
+const port = Number(process.env.PORT) || 4000;
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const store = new FileStore(dataDir);
+const server = http.createServer(createHandler({
+  store,
+  corsOrigin: process.env.CORS_ORIGIN || '*'
+}));
+
+server.listen(port, () => {
+  console.log(`Sync server listening on port ${port}, storing data in ${dataDir}`);
+});
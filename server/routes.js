@@ -0,0 +1,396 @@
+// server/routes.js
+// HTTP API of the sync server. It stores what clients send: encrypted note
+// blobs, users' key metadata (salts, wrapped keys) and account emails and
+// display names, plus a scrypt hash of each account's auth secret. Clients
+// derive that secret from the encryption password (PBKDF2 with fixed
+// parameters, salted by email), so it is only as safe as the password.
+//
+//   POST   /auth/register     { email, secret, displayName } -> { token, user }
+//   POST   /auth/login        { email, secret }              -> { token, user }
+//   POST   /auth/logout
+//   GET    /auth/me                                          -> { user }
+//   GET    /users/me                                         -> key metadata
+//   PATCH  /users/me          fields to merge (null removes a field)
+//   GET    /notes?since=ISO                                  -> notes and tombstones, oldest first
+//   GET    /notes/events?since=ISO&token=...                 -> the same as server-sent events
+//   GET    /notes/:id
+//   PUT    /notes/:id         note                           (create or replace)
+//   PATCH  /notes/:id         { note, expectedRevision }     (409 revision-conflict on mismatch)
+//   DELETE /notes/:id                                        (leaves a tombstone)
+//   GET    /notes/:id/history                                -> revisions, oldest first
+//   PUT    /notes/:id/history/:revisionId  revision
+//   POST   /notes/:id/history/delete       { ids }
+//
+// Errors are JSON { code, message } with the client's Firebase-style codes.
+const { URL } = require('url');
+const {
+  TOKEN_LIFETIME,
+  DUMMY_CREDENTIALS,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  createUserId
+} = require('./auth');
+
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+const EVENTS_HEARTBEAT = 25000;
+const NOTE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CIPHERTEXT_FIELDS = ['title', 'content', 'tags', 'checklist'];
+
+class HttpError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const notFound = () => new HttpError(404, 'not-found', 'Note not found');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      reject(new HttpError(413, 'too-large', 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (chunks.length === 0) return resolve({});
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(new HttpError(400, 'invalid-argument', 'Body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// The server must never hold plaintext: a stored note is either a tombstone
+// or marked encrypted, with string (ciphertext) fields
+const assertEncrypted = (note) => {
+  if (note.deleted) return;
+  if (note.encrypted !== true) {
+    throw new HttpError(400, 'plaintext-rejected', 'Notes must be encrypted before they are uploaded');
+  }
+  CIPHERTEXT_FIELDS.forEach(field => {
+    if (note[field] !== undefined && typeof note[field] !== 'string') {
+      throw new HttpError(400, 'plaintext-rejected', `The ${field} of a note must be ciphertext`);
+    }
+  });
+};
+
+const toUser = ({ uid, email, displayName }) => ({ uid, email, displayName });
+
+const createHandler = ({ store, corsOrigin = '*' }) => {
+  const subscribers = new Map(); // uid -> Set of event-stream responses
+  let lastTimestamp = '';
+
+  // Write timestamps, strictly increasing so sync cursors never skip a write
+  const now = () => {
+    let timestamp = new Date().toISOString();
+    if (timestamp <= lastTimestamp) {
+      timestamp = new Date(Date.parse(lastTimestamp) + 1).toISOString();
+    }
+    lastTimestamp = timestamp;
+    return timestamp;
+  };
+
+  const sendEvent = (res, notes) => {
+    const latest = notes[notes.length - 1].updatedAt;
+    res.write(`id: ${latest}\ndata: ${JSON.stringify(notes)}\n\n`);
+  };
+
+  const publish = (uid, notes) => {
+    const streams = subscribers.get(uid);
+    if (!streams || notes.length === 0) return;
+    streams.forEach(res => sendEvent(res, notes));
+  };
+
+  const changedSince = (notes, since) => Object.values(notes)
+    .filter(note => !since || note.updatedAt >= since)
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+  const authenticate = async (token) => {
+    if (!token) throw new HttpError(401, 'unauthenticated', 'Sign in first');
+
+    const sessions = await store.read('sessions');
+    const session = sessions[hashToken(token)];
+    if (!session || session.expiresAt < Date.now()) {
+      throw new HttpError(401, 'unauthenticated', 'Your session has expired - sign in again');
+    }
+    return session.uid;
+  };
+
+  const startSession = async (account) => {
+    const token = createToken();
+    await store.update('sessions', (sessions) => {
+      // Drop expired sessions while we're here
+      Object.keys(sessions).forEach(key => {
+        if (sessions[key].expiresAt < Date.now()) delete sessions[key];
+      });
+      sessions[hashToken(token)] = { uid: account.uid, expiresAt: Date.now() + TOKEN_LIFETIME };
+    });
+    return { token, user: toUser(account) };
+  };
+
+  // Auth routes
+  const checkCredentials = ({ email, secret }) => {
+    if (typeof email !== 'string' || typeof secret !== 'string' || !email.trim() || !secret) {
+      throw new HttpError(400, 'invalid-argument', 'Email and password are required');
+    }
+  };
+
+  const register = async ({ email, secret, displayName }) => {
+    checkCredentials({ email, secret });
+    if (displayName != null && typeof displayName !== 'string') {
+      throw new HttpError(400, 'invalid-argument', 'Display name must be a string');
+    }
+
+    const key = email.trim().toLowerCase();
+    const credentials = await hashPassword(secret);
+    const account = await store.update('accounts', (accounts) => {
+      if (accounts[key]) {
+        throw new HttpError(409, 'auth/email-already-in-use', 'Email already in use');
+      }
+      accounts[key] = {
+        uid: createUserId(),
+        email: email.trim(),
+        displayName: displayName || null,
+        ...credentials,
+        createdAt: now()
+      };
+      return accounts[key];
+    });
+    return startSession(account);
+  };
+
+  const login = async ({ email, secret }) => {
+    checkCredentials({ email, secret });
+    const accounts = await store.read('accounts');
+    const account = accounts[email.trim().toLowerCase()];
+    // Unknown emails cost a scrypt too, so response times don't tell which exist
+    const valid = await verifyPassword(secret, account || DUMMY_CREDENTIALS);
+    if (!account || !valid) {
+      throw new HttpError(401, 'auth/invalid-credential', 'Invalid email or password');
+    }
+    return startSession(account);
+  };
+
+  const logout = async (token) => {
+    await store.update('sessions', (sessions) => {
+      delete sessions[hashToken(token)];
+    });
+  };
+
+  const getAccount = async (uid) => {
+    const accounts = await store.read('accounts');
+    const account = Object.values(accounts).find(entry => entry.uid === uid);
+    if (!account) throw new HttpError(401, 'unauthenticated', 'Account not found');
+    return account;
+  };
+
+  // User key metadata
+  const updateUserData = (uid, fields) => store.update(`users/${uid}`, (data) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === null) {
+        delete data[field];
+      } else {
+        data[field] = value;
+      }
+    });
+    data.updatedAt = now();
+  });
+
+  // Notes
+  const notesDoc = (uid) => `notes/${uid}`;
+
+  const writeNotes = async (uid, mutate) => {
+    const written = await store.update(notesDoc(uid), mutate);
+    publish(uid, written);
+    return written;
+  };
+
+  const saveNote = (uid, noteId, noteData) => writeNotes(uid, (notes) => {
+    const timestamp = now();
+    const note = { ...noteData, id: noteId, userId: uid, createdAt: timestamp, updatedAt: timestamp };
+    assertEncrypted(note);
+    notes[noteId] = note;
+    return [note];
+  });
+
+  const updateNote = (uid, noteId, { note: noteData = {}, expectedRevision }) => writeNotes(uid, (notes) => {
+    const existing = notes[noteId];
+    if (!existing || (expectedRevision !== undefined && existing.deleted)) throw notFound();
+
+    if (expectedRevision !== undefined && (existing.revision || 0) !== (expectedRevision || 0)) {
+      throw new HttpError(409, 'revision-conflict', 'This note was changed on another device', {
+        serverNote: existing
+      });
+    }
+
+    const note = { ...existing, ...noteData, id: noteId, userId: uid, updatedAt: now() };
+    assertEncrypted(note);
+    notes[noteId] = note;
+    return [note];
+  });
+
+  const deleteNote = (uid, noteId) => writeNotes(uid, (notes) => {
+    const timestamp = now();
+    notes[noteId] = { id: noteId, userId: uid, deleted: true, deletedAt: timestamp, updatedAt: timestamp };
+    return [notes[noteId]];
+  });
+
+  // Revision history, one document per user: { noteId: { revisionId: entry } }
+  const historyDoc = (uid) => `history/${uid}`;
+
+  const getRevisions = async (uid, noteId) => Object.values((await store.read(historyDoc(uid)))[noteId] || {})
+    .sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+
+  const saveRevision = (uid, noteId, revisionId, entry) => store.update(historyDoc(uid), (history) => {
+    const revision = { ...entry, id: revisionId, noteId };
+    assertEncrypted(revision);
+    history[noteId] = { ...history[noteId], [revisionId]: revision };
+  });
+
+  const deleteRevisions = (uid, noteId, { ids = [] }) => store.update(historyDoc(uid), (history) => {
+    if (!history[noteId]) return;
+    ids.forEach(revisionId => delete history[noteId][revisionId]);
+    if (Object.keys(history[noteId]).length === 0) delete history[noteId];
+  });
+
+  const streamEvents = async (req, res, uid, since) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    // A reconnecting EventSource resumes from the last event it saw
+    const cursor = req.headers['last-event-id'] || since;
+    const initial = changedSince(await store.read(notesDoc(uid)), cursor);
+    if (initial.length > 0) sendEvent(res, initial);
+
+    if (!subscribers.has(uid)) subscribers.set(uid, new Set());
+    subscribers.get(uid).add(res);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_HEARTBEAT);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.get(uid).delete(res);
+    });
+  };
+
+  const route = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const method = req.method;
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+    if (parts[0] === 'auth') {
+      if (method === 'POST' && parts[1] === 'register') return sendJson(res, 201, await register(await readBody(req)));
+      if (method === 'POST' && parts[1] === 'login') return sendJson(res, 200, await login(await readBody(req)));
+
+      const uid = await authenticate(bearer);
+      if (method === 'POST' && parts[1] === 'logout') {
+        await logout(bearer);
+        return sendJson(res, 200, {});
+      }
+      if (method === 'GET' && parts[1] === 'me') return sendJson(res, 200, { user: toUser(await getAccount(uid)) });
+    }
+
+    if (parts[0] === 'users' && parts[1] === 'me' && parts.length === 2) {
+      const uid = await authenticate(bearer);
+      if (method === 'GET') return sendJson(res, 200, await store.read(`users/${uid}`));
+      if (method === 'PATCH') {
+        await updateUserData(uid, await readBody(req));
+        return sendJson(res, 200, {});
+      }
+    }
+
+    if (parts[0] === 'notes') {
+      // EventSource can't send headers, so the event stream takes the token in the URL
+      if (parts[1] === 'events' && method === 'GET') {
+        const uid = await authenticate(url.searchParams.get('token'));
+        return streamEvents(req, res, uid, url.searchParams.get('since'));
+      }
+
+      const uid = await authenticate(bearer);
+
+      if (parts.length === 1 && method === 'GET') {
+        return sendJson(res, 200, changedSince(await store.read(notesDoc(uid)), url.searchParams.get('since')));
+      }
+
+      const noteId = parts[1];
+      if (parts[2] === 'history' && NOTE_ID_PATTERN.test(noteId)) {
+        if (parts.length === 3 && method === 'GET') return sendJson(res, 200, await getRevisions(uid, noteId));
+        if (parts.length === 4 && parts[3] === 'delete' && method === 'POST') {
+          await deleteRevisions(uid, noteId, await readBody(req));
+          return sendJson(res, 200, {});
+        }
+        if (parts.length === 4 && NOTE_ID_PATTERN.test(parts[3]) && method === 'PUT') {
+          await saveRevision(uid, noteId, parts[3], await readBody(req));
+          return sendJson(res, 200, {});
+        }
+      }
+      if (parts.length === 2 && NOTE_ID_PATTERN.test(noteId)) {
+        if (method === 'GET') {
+          const note = (await store.read(notesDoc(uid)))[noteId];
+          if (!note || note.deleted) throw notFound();
+          return sendJson(res, 200, note);
+        }
+        if (method === 'PUT') {
+          await saveNote(uid, noteId, await readBody(req));
+          return sendJson(res, 200, { id: noteId });
+        }
+        if (method === 'PATCH') {
+          await updateNote(uid, noteId, await readBody(req));
+          return sendJson(res, 200, {});
+        }
+        if (method === 'DELETE') {
+          await deleteNote(uid, noteId);
+          return sendJson(res, 200, {});
+        }
+      }
+    }
+
+    throw new HttpError(404, 'not-found', `No route for ${method} ${url.pathname}`);
+  };
+
+  return async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      await route(req, res);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+        error = new HttpError(500, 'internal', 'Internal server error');
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.status, { code: error.code, message: error.message, ...error.details });
+      }
+    }
+  };
+};
+
+module.exports = { createHandler };
@@ -0,0 +1,133 @@
+// Run with: npm run test:server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('./store');
+const { createHandler } = require('./routes');
+
+let server;
+let baseUrl;
+let dataDir;
+let token;
+
+const request = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const encryptedNote = (fields) => ({ encrypted: true, title: 'v3.t', content: 'v3.c', tags: 'v3.g', ...fields });
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-server-'));
+  server = http.createServer(createHandler({ store: new FileStore(dataDir) }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { body } = await request('POST', '/auth/register', { email: 'a@example.com', secret: 'secret' });
+  token = body.token;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('PATCH applies a write made on top of the current revision', async () => {
+  await request('PUT', '/notes/n1', encryptedNote({ revision: 1 }));
+
+  const { status } = await request('PATCH', '/notes/n1', {
+    note: encryptedNote({ content: 'v3.new', revision: 2 }),
+    expectedRevision: 1
+  });
+  assert.strictEqual(status, 200);
+
+  const { body } = await request('GET', '/notes/n1');
+  assert.strictEqual(body.content, 'v3.new');
+  assert.strictEqual(body.revision, 2);
+});
+
+test('PATCH rejects a write based on an older revision and returns the server copy', async () => {
+  await request('PUT', '/notes/n2', encryptedNote({ revision: 3 }));
+
+  const { status, body } = await request('PATCH', '/notes/n2', {
+    note: encryptedNote({ content: 'v3.stale', revision: 3 }),
+    expectedRevision: 2
+  });
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.code, 'revision-conflict');
+  assert.strictEqual(body.serverNote.revision, 3);
+  assert.strictEqual(body.serverNote.content, 'v3.c');
+
+  const { body: stored } = await request('GET', '/notes/n2');
+  assert.strictEqual(stored.content, 'v3.c');
+});
+
+test('PATCH treats a missing revision as revision 0', async () => {
+  await request('PUT', '/notes/n3', encryptedNote({}));
+
+  const { status } = await request('PATCH', '/notes/n3', { note: encryptedNote({ revision: 1 }), expectedRevision: 0 });
+  assert.strictEqual(status, 200);
+});
+
+test('PATCH with an expected revision does not write to a deleted note', async () => {
+  await request('PUT', '/notes/n4', encryptedNote({ revision: 1 }));
+  await request('DELETE', '/notes/n4');
+
+  const { status, body } = await request('PATCH', '/notes/n4', { note: encryptedNote({ revision: 2 }), expectedRevision: 1 });
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.code, 'not-found');
+});
+
+test('PATCH without an expected revision writes unconditionally', async () => {
+  await request('PUT', '/notes/n5', encryptedNote({ revision: 4 }));
+
+  const { status } = await request('PATCH', '/notes/n5', { note: { trashedAt: '2026-01-01T00:00:00.000Z' } });
+  assert.strictEqual(status, 200);
+
+  const { body } = await request('GET', '/notes/n5');
+  assert.strictEqual(body.trashedAt, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(body.revision, 4);
+});
+
+test('PATCH refuses to store plaintext', async () => {
+  await request('PUT', '/notes/n6', encryptedNote({ revision: 1 }));
+
+  const { status, body } = await request('PATCH', '/notes/n6', {
+    note: { content: { text: 'plain' }, revision: 2 },
+    expectedRevision: 1
+  });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'plaintext-rejected');
+});
+
+test('login costs a scrypt whether or not the email exists', async (t) => {
+  const scrypt = t.mock.method(crypto, 'scrypt');
+
+  const unknown = await request('POST', '/auth/login', { email: 'nobody@example.com', secret: 'secret' });
+  const wrong = await request('POST', '/auth/login', { email: 'a@example.com', secret: 'wrong' });
+
+  assert.strictEqual(unknown.status, 401);
+  assert.deepStrictEqual(unknown.body, wrong.body);
+  assert.strictEqual(scrypt.mock.callCount(), 2);
+});
+
+test('auth routes reject credentials that are not strings', async () => {
+  for (const body of [{ email: ['a@example.com'], secret: 'secret' }, { email: 'a@example.com', secret: { length: 1 } }, {}]) {
+    for (const route of ['/auth/register', '/auth/login']) {
+      const { status, body: error } = await request('POST', route, body);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(error.code, 'invalid-argument');
+    }
+  }
+
+  const { status } = await request('POST', '/auth/register', { email: 'b@example.com', secret: 'secret', displayName: 42 });
+  assert.strictEqual(status, 400);
+});
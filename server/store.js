@@ -0,0 +1,56 @@
+// server/store.js
+// Flat-file JSON storage. Each document (accounts, sessions, one user's
+// metadata, one user's notes) is a JSON file under the data directory.
+// Updates to a document are serialized, applied to a copy and written
+// atomically (temp file + rename), so a failed update changes nothing.
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.cache = new Map();
+    this.queues = new Map();
+  }
+
+  filePath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async read(name) {
+    if (!this.cache.has(name)) {
+      let data = {};
+      try {
+        data = JSON.parse(await fs.readFile(this.filePath(name), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.cache.set(name, data);
+    }
+    return this.cache.get(name);
+  }
+
+  // mutate(draft) changes the draft in place and may return a result; if it
+  // throws, the document is left as it was
+  update(name, mutate) {
+    const previous = this.queues.get(name) || Promise.resolve();
+    const run = previous.then(async () => {
+      const draft = JSON.parse(JSON.stringify(await this.read(name)));
+      const result = await mutate(draft);
+
+      const file = this.filePath(name);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(draft));
+      await fs.rename(tempFile, file);
+
+      this.cache.set(name, draft);
+      return result;
+    });
+
+    this.queues.set(name, run.catch(() => {}));
+    return run;
+  }
+}
+
+module.exports = { FileStore };
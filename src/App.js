@@ -1,70 +1,145 @@
 // src/App.js
-import React, { useState, useEffect, useCallback } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, Link } from 'react-router-dom';
 import './App.css';
 import Header from './components/Layout/Header';
+import SyncPanel from './components/Layout/SyncPanel';
+import DatabaseNotice from './components/Layout/DatabaseNotice';
+import LogoutDialog from './components/Layout/LogoutDialog';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import Recover from './components/Auth/Recover';
+import SaveRecoveryPhrase from './components/Auth/SaveRecoveryPhrase';
+import Unlock from './components/Auth/Unlock';
+import RequireUnlock from './components/Auth/RequireUnlock';
 import NotesList from './components/Notes/NotesList';
 import NoteEditor from './components/Notes/NoteEditor';
-import { onAuthChange, getUserEncryptionSalt } from './services/firebase';
+import ConflictResolver from './components/Notes/ConflictResolver';
+import TrashList from './components/Notes/TrashList';
+import Settings from './components/Settings/Settings';
+import { onAuthChange, getUserEncryptionData } from './services/backend';
 import encryptionService from './services/encryption';
 import notesDB from './services/indexedDB';
+import {
+  restoreSession,
+  endSession,
+  getAutoLockMinutes,
+  saveAutoLockMinutes
+} from './services/keyManager';
+import { useIdleLock } from './hooks/useIdleLock';
+import { syncPendingChanges, watchRemoteChanges } from './services/syncEngine';
+import { purgeExpiredTrash, getTrashRetentionDays, saveTrashRetentionDays } from './services/trash';
+import {
+  startTabSync,
+  stopTabSync,
+  isSyncLeader,
+  onSyncLeader,
+  broadcastNotesChanged,
+  onNotesChanged
+} from './services/tabSync';
+import { onUpdateReady, applyUpdate, requestBackgroundSync, onFlushRequest } from './serviceWorkerRegistration';
+import { OFFLINE_AUTH_TIMEOUT, SYNC_INTERVAL } from './utils/constants';
 
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
   const [syncStatus, setSyncStatus] = useState('synced');
+  const [syncPanelOpen, setSyncPanelOpen] = useState(false);
+  const [logoutOpen, setLogoutOpen] = useState(false);
+  const [updateRegistration, setUpdateRegistration] = useState(null);
+  const [autoLockMinutes, setAutoLockMinutes] = useState(getAutoLockMinutes);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(getTrashRetentionDays);
+  // Last change to the cached notes made by a sync, another tab or another
+  // device: { at, noteIds } (noteIds null = any note)
+  const [notesChange, setNotesChange] = useState(null);
+  const userRef = useRef(null);
+  userRef.current = user;
+
+  // Offline sessions have no Firebase auth, so Firestore can't be used yet
+  const notesOffline = isOffline || !!(user && user.offlineSession);
+
+  // Queued changes can only be pushed with a Firebase session and the key
+  // (temporary note ids are re-encrypted for their new id)
+  const syncUserId = user && user.encryptionReady && !user.offlineSession ? user.uid : null;
+
+  const notifyNotesChanged = useCallback((noteIds = null) => {
+    setNotesChange({ at: Date.now(), noteIds });
+  }, []);
 
   // Memoize syncNotes to prevent recreating it
   const syncNotes = useCallback(async () => {
-    if (!navigator.onLine || !user) return;
-    
-    setSyncStatus('syncing');
+    // Only one tab replays the shared queue
+    if (!navigator.onLine || !syncUserId || !isSyncLeader()) return;
+
     try {
-      const result = await notesDB.syncWithFirebase(async (operation) => {
-        console.log('Syncing operation:', operation);
-      });
-      
-      setSyncStatus('synced');
+      // Notes kept in the trash past the retention period go for good
+      const purged = await purgeExpiredTrash(syncUserId, trashRetentionDays);
+      if (purged.length > 0) {
+        notifyNotesChanged(purged);
+        broadcastNotesChanged(syncUserId, purged);
+      }
+
+      if (await notesDB.getPendingCount(syncUserId) === 0) {
+        setSyncStatus(await notesDB.getDeadLetterCount(syncUserId) > 0 ? 'error' : 'synced');
+        return;
+      }
+
+      setSyncStatus('syncing');
+      const result = await syncPendingChanges(syncUserId);
       console.log('Sync completed:', result);
+
+      // Operations that ran out of retries need the user (see the sync panel)
+      if (await notesDB.getDeadLetterCount(syncUserId) > 0) {
+        setSyncStatus('error');
+      } else {
+        setSyncStatus(result.failed > 0 ? 'retrying' : 'synced');
+      }
+      if (result.failed > 0) {
+        requestBackgroundSync();
+      }
+      if (result.synced > 0 || result.deadLettered > 0) {
+        notifyNotesChanged();
+        broadcastNotesChanged(syncUserId);
+      }
     } catch (error) {
       setSyncStatus('error');
       console.error('Sync failed:', error);
     }
-  }, [user]);
+  }, [syncUserId, trashRetentionDays, notifyNotesChanged]);
 
   // Setup encryption key for returning users
   const setupEncryption = async (firebaseUser) => {
     try {
-      // Check if we have the key in session storage (for page refreshes)
-      const sessionKey = sessionStorage.getItem('encKey');
-      if (sessionKey) {
-        encryptionService.setMasterKey(sessionKey);
-        console.log('Encryption key restored from session');
+      // Login or registration may already have unlocked the key
+      if (encryptionService.hasMasterKey()) {
+        return true;
+      }
+
+      // Unwrap the key saved in IndexedDB by this tab (for page refreshes)
+      if (await restoreSession(firebaseUser.uid)) {
         return true;
       }
 
       // Try to get salt from local storage first (for offline access)
-      let salt = await notesDB.getEncryptionSalt(firebaseUser.uid);
+      let encryptionData = await notesDB.getEncryptionData(firebaseUser.uid);
       
-      if (!salt) {
+      if (!encryptionData) {
         // If not in local storage, get from Firebase
-        salt = await getUserEncryptionSalt(firebaseUser.uid);
+        encryptionData = await getUserEncryptionData(firebaseUser.uid);
         
-        if (salt) {
+        if (encryptionData) {
           // Store locally for next time
-          await notesDB.saveEncryptionSalt(firebaseUser.uid, salt);
+          await notesDB.saveEncryptionData(firebaseUser.uid, encryptionData);
         }
       }
 
-      if (salt) {
+      if (encryptionData) {
         // For returning users with salt but no session key,
         // we need them to re-enter their encryption password
         // This typically happens after a browser restart
-        console.log('Salt found but no session key - user needs to re-authenticate');
-        return false; // This will redirect to login
+        console.log('Salt found but no session key - notes are locked');
+        return false; // This will show the unlock screen
       }
 
       // New user or corrupted data - will be handled at login/register
@@ -76,11 +151,59 @@ function App() {
     }
   };
 
+  // Without network, Firebase auth may never answer. Fall back to the last
+  // account with encryption data on this device; it unlocks from the cached salt.
+  const startOfflineSession = async () => {
+    const account = await notesDB.getLastAccount();
+    if (!account || !(await notesDB.getEncryptionData(account.userId))) {
+      return false;
+    }
+
+    console.log('Starting offline session for:', account.userId);
+    const encryptionReady = await restoreSession(account.userId);
+
+    setUser({
+      uid: account.userId,
+      email: account.email,
+      displayName: account.displayName,
+      offlineSession: true,
+      encryptionReady: encryptionReady || encryptionService.hasMasterKey()
+    });
+    return true;
+  };
+
   useEffect(() => {
+    let authResolved = false;
+    let offlineTimer = null;
+
+    if (!navigator.onLine) {
+      offlineTimer = setTimeout(async () => {
+        if (!authResolved && await startOfflineSession()) {
+          setLoading(false);
+        }
+      }, OFFLINE_AUTH_TIMEOUT);
+    }
+
     // Auth state listener
     const unsubscribe = onAuthChange(async (firebaseUser) => {
+      authResolved = true;
+      clearTimeout(offlineTimer);
+
       if (firebaseUser) {
         console.log('User logged in:', firebaseUser.uid);
+
+        // Reconcile an offline session with the account Firebase signed in
+        const current = userRef.current;
+        if (current && current.offlineSession && current.uid !== firebaseUser.uid) {
+          console.warn('Signed in as a different account than the offline session - locking');
+          await endSession();
+        }
+
+        try {
+          await notesDB.saveAccount(firebaseUser);
+        } catch (error) {
+          console.warn('Could not remember account for offline use:', error);
+        }
         
         // Setup encryption for the user
         const encryptionReady = await setupEncryption(firebaseUser);
@@ -89,35 +212,82 @@ function App() {
           uid: firebaseUser.uid,
           email: firebaseUser.email,
           displayName: firebaseUser.displayName,
-          encryptionReady
+          encryptionReady: encryptionReady || encryptionService.hasMasterKey()
         });
+      } else if (!navigator.onLine && await startOfflineSession()) {
+        // A sign-out can't be confirmed offline - keep the local notes usable
+        console.log('No Firebase session while offline - using offline session');
       } else {
         console.log('User logged out');
         setUser(null);
-        encryptionService.clearMasterKey();
-        sessionStorage.removeItem('encKey');
+        await endSession();
       }
       setLoading(false);
     });
 
     return () => {
+      clearTimeout(offlineTimer);
       unsubscribe();
     };
   }, []);
 
+  // Join the other open tabs: elect the one that syncs, and reload notes
+  // another tab changed
+  useEffect(() => {
+    startTabSync();
+    return stopTabSync;
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    return onNotesChanged((userId, noteIds) => {
+      if (userId === user.uid) notifyNotesChanged(noteIds);
+    });
+  }, [user, notifyNotesChanged]);
+
+  // Push queued changes once the notes are unlocked with a Firebase session
+  // (including when an offline session gets its auth back), then keep retrying.
+  // A tab that takes over syncing from a closed one starts right away.
+  useEffect(() => {
+    if (!syncUserId) return undefined;
+
+    syncNotes();
+    const interval = setInterval(syncNotes, SYNC_INTERVAL);
+    const stopListening = onSyncLeader(syncNotes);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [syncUserId, syncNotes]);
+
+  // Write changes from other devices into the local cache as they happen
+  useEffect(() => {
+    if (!syncUserId) return undefined;
+
+    return watchRemoteChanges(syncUserId, notifyNotesChanged);
+  }, [syncUserId, notifyNotesChanged]);
+
+  // Track the key being unlocked (login, register, recovery) or cleared
+  useEffect(() => {
+    return encryptionService.onKeyChange((hasKey) => {
+      setUser(prev => prev ? { ...prev, encryptionReady: hasKey } : prev);
+    });
+  }, []);
+
   // Separate useEffect for network status listeners
   useEffect(() => {
     const handleOnline = () => {
       console.log('Network: Online');
       setIsOffline(false);
-      if (user) {
-        syncNotes();
-      }
+      syncNotes();
     };
 
     const handleOffline = () => {
       console.log('Network: Offline');
       setIsOffline(true);
+      // Have the service worker flush queued writes when the network is back
+      requestBackgroundSync();
     };
 
     window.addEventListener('online', handleOnline);
@@ -127,30 +297,66 @@ function App() {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
     };
-  }, [user, syncNotes]);
+  }, [syncNotes]);
+
+  // The service worker's background sync fired
+  useEffect(() => onFlushRequest(syncNotes), [syncNotes]);
 
-  const handleLogout = async () => {
+  // A new version of the app is installed and waiting
+  useEffect(() => onUpdateReady(setUpdateRegistration), []);
+
+  // Signing out goes through LogoutDialog, which syncs first and asks before
+  // unsynced changes are deleted
+  const handleLogout = () => {
+    if (userRef.current) {
+      setLogoutOpen(true);
+    }
+  };
+
+  const completeLogout = useCallback(async () => {
+    setLogoutOpen(false);
     try {
       // Clear local data
-      if (user) {
-        await notesDB.clearUserData(user.uid);
+      if (userRef.current) {
+        await notesDB.clearUserData(userRef.current.uid);
       }
-      encryptionService.clearMasterKey();
-      sessionStorage.removeItem('encKey');
+      await endSession();
       
       // Sign out from Firebase
-      const { logoutUser } = await import('./services/firebase');
+      const { logoutUser } = await import('./services/backend');
       await logoutUser();
       
       setUser(null);
     } catch (error) {
       console.error('Logout error:', error);
     }
+  }, []);
+
+  const cancelLogout = useCallback(() => setLogoutOpen(false), []);
+
+  // Wipe the key but keep the Firebase session - only the encryption
+  // password is needed to get back in
+  const handleLock = useCallback(async () => {
+    console.log('Locking notes');
+    await endSession();
+  }, []);
+
+  const handleAutoLockChange = (minutes) => {
+    saveAutoLockMinutes(minutes);
+    setAutoLockMinutes(minutes);
   };
 
+  const handleTrashRetentionChange = (days) => {
+    saveTrashRetentionDays(days);
+    setTrashRetentionDays(days);
+  };
+
+  useIdleLock(!!(user && user.encryptionReady), autoLockMinutes, handleLock);
+
   if (loading) {
     return (
       <div className="App">
+        <DatabaseNotice />
         <div className="loading-container">
           <div className="loader"></div>
           <p>Loading Secure Notes...</p>
@@ -159,33 +365,66 @@ function App() {
     );
   }
 
-  // If user is logged in but encryption is not ready, redirect to login
-  if (user && !user.encryptionReady && !window.location.pathname.includes('/login')) {
-    return <Router><Navigate to="/login" /></Router>;
-  }
-
   return (
     <Router>
       <div className="App">
         <Header 
           user={user} 
           onLogout={handleLogout}
-          isOffline={isOffline}
+          onLock={handleLock}
+          isOffline={notesOffline}
           syncStatus={syncStatus}
+          onToggleSyncPanel={() => setSyncPanelOpen(open => !open)}
         />
+
+        {user && logoutOpen && (
+          <LogoutDialog
+            user={user}
+            isOffline={notesOffline}
+            onConfirm={completeLogout}
+            onCancel={cancelLogout}
+          />
+        )}
+
+        {user && syncPanelOpen && (
+          <SyncPanel
+            user={user}
+            isOffline={notesOffline}
+            syncStatus={syncStatus}
+            notesChange={notesChange}
+            onSync={syncNotes}
+            onChange={notifyNotesChanged}
+            onClose={() => setSyncPanelOpen(false)}
+          />
+        )}
         
         <main className="main-content">
+          <DatabaseNotice />
+
+          {updateRegistration && (
+            <div className="update-banner">
+              ✨ A new version is available.
+              <button onClick={() => applyUpdate(updateRegistration)}>Reload</button>
+            </div>
+          )}
+
           {isOffline && (
             <div className="offline-banner">
               📵 You're offline. Changes will sync when you reconnect.
             </div>
           )}
+
+          {!isOffline && user && user.offlineSession && (
+            <div className="offline-banner">
+              🔑 You're back online. <Link to="/login">Sign in</Link> to sync your offline changes.
+            </div>
+          )}
           
           <Routes>
             <Route 
               path="/login" 
               element={
-                !user || !user.encryptionReady ? <Login /> : <Navigate to="/notes" />
+                !user || !user.encryptionReady || user.offlineSession ? <Login /> : <Navigate to="/notes" />
               } 
             />
             <Route 
@@ -194,22 +433,80 @@ function App() {
                 !user ? <Register /> : <Navigate to="/notes" />
               } 
             />
+            <Route 
+              path="/recover" 
+              element={
+                !user || !user.encryptionReady ? <Recover user={user} /> : <Navigate to="/notes" />
+              } 
+            />
+            <Route 
+              path="/unlock" 
+              element={
+                user ? <Unlock user={user} onLogout={handleLogout} /> : <Navigate to="/login" />
+              } 
+            />
+            <Route 
+              path="/recovery-phrase" 
+              element={<SaveRecoveryPhrase />} 
+            />
             <Route 
               path="/notes" 
               element={
-                user && user.encryptionReady ? <NotesList user={user} isOffline={isOffline} /> : <Navigate to="/login" />
+                <RequireUnlock user={user}>
+                  <NotesList user={user} isOffline={notesOffline} notesChange={notesChange} />
+                </RequireUnlock>
               } 
             />
             <Route 
               path="/notes/new" 
               element={
-                user && user.encryptionReady ? <NoteEditor user={user} isOffline={isOffline} /> : <Navigate to="/login" />
+                <RequireUnlock user={user}>
+                  <NoteEditor user={user} isOffline={notesOffline} notesChange={notesChange} />
+                </RequireUnlock>
               } 
             />
             <Route 
               path="/notes/:id" 
               element={
-                user && user.encryptionReady ? <NoteEditor user={user} isOffline={isOffline} /> : <Navigate to="/login" />
+                <RequireUnlock user={user}>
+                  <NoteEditor user={user} isOffline={notesOffline} notesChange={notesChange} />
+                </RequireUnlock>
+              } 
+            />
+            <Route 
+              path="/notes/:id/conflict" 
+              element={
+                <RequireUnlock user={user}>
+                  <ConflictResolver user={user} isOffline={notesOffline} />
+                </RequireUnlock>
+              } 
+            />
+            <Route 
+              path="/trash" 
+              element={
+                <RequireUnlock user={user}>
+                  <TrashList
+                    user={user}
+                    isOffline={notesOffline}
+                    notesChange={notesChange}
+                    trashRetentionDays={trashRetentionDays}
+                  />
+                </RequireUnlock>
+              } 
+            />
+            <Route 
+              path="/settings" 
+              element={
+                <RequireUnlock user={user}>
+                  <Settings
+                    user={user}
+                    isOffline={notesOffline}
+                    autoLockMinutes={autoLockMinutes}
+                    onAutoLockChange={handleAutoLockChange}
+                    trashRetentionDays={trashRetentionDays}
+                    onTrashRetentionChange={handleTrashRetentionChange}
+                  />
+                </RequireUnlock>
               } 
             />
             <Route 
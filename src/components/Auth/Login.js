@@ -1,9 +1,8 @@
 // src/components/Auth/Login.js
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { loginUser, getUserEncryptionSalt, saveUserEncryptionSalt } from '../../services/firebase';
-import encryptionService from '../../services/encryption';
-import notesDB from '../../services/indexedDB';
+import { loginUser, getCurrentUser } from '../../services/backend';
+import { unlockWithPassword } from '../../services/keyManager';
 import './Auth.css';
 
 function Login() {
@@ -29,46 +28,19 @@ function Login() {
     setLoading(true);
 
     try {
-      // Sign in with Firebase
-      const user = await loginUser(formData.email, formData.password);
+      // Sign in with Firebase. Offline, reuse the persisted Firebase session -
+      // the encryption password is still checked against the local key check
+      const currentUser = getCurrentUser();
+      const user = !navigator.onLine && currentUser && currentUser.email === formData.email
+        ? currentUser
+        : await loginUser(formData.email, formData.password);
 
-      // Get user's encryption salt from Firestore
-      let salt = await getUserEncryptionSalt(user.uid);
-      
       // Use encryption password if provided, otherwise use login password
       const encryptionPassword = formData.encryptionPassword || formData.password;
-      
-      if (!salt) {
-        // First time login - create encryption key
-        console.log('First time login - generating encryption key');
-        const derivedKey = await encryptionService.deriveKeyFromPassword(encryptionPassword);
-        
-        encryptionService.setMasterKey(derivedKey.key);
-        
-        // Save salt to Firestore and locally
-        await saveUserEncryptionSalt(user.uid, derivedKey.salt);
-        await notesDB.saveEncryptionSalt(user.uid, derivedKey.salt);
-        
-        console.log('Encryption key generated and saved');
-      } else {
-        // Existing user - derive key from stored salt
-        console.log('Existing user - deriving key from stored salt');
-        const derivedKey = await encryptionService.deriveKeyFromPassword(
-          encryptionPassword,
-          salt
-        );
-        
-        // Set the master key for this session
-        encryptionService.setMasterKey(derivedKey.key);
-        
-        // Save salt locally for offline access
-        await notesDB.saveEncryptionSalt(user.uid, salt);
-        
-        console.log('Encryption key set from existing salt');
-      }
 
-      // Store encryption key in session storage as backup
-      sessionStorage.setItem('encKey', encryptionService.getMasterKey());
+      // Unwrap the data key - rejects a wrong encryption password
+      await unlockWithPassword(user.uid, encryptionPassword);
+      console.log('Encryption key unlocked');
 
       navigate('/notes');
     } catch (error) {
@@ -132,6 +104,7 @@ function Login() {
 
         <div className="auth-footer">
           <p>Don't have an account? <Link to="/register">Register</Link></p>
+          <p>Forgot your encryption password? <Link to="/recover">Use your recovery phrase</Link></p>
         </div>
       </div>
     </div>
@@ -0,0 +1,154 @@
+// src/components/Auth/Recover.js
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { loginUser } from '../../services/backend';
+import { recoverWithPhrase } from '../../services/keyManager';
+import './Auth.css';
+
+function Recover({ user }) {
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    email: '',
+    password: '',
+    recoveryPhrase: '',
+    newEncryptionPassword: '',
+    confirmEncryptionPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newEncryptionPassword !== formData.confirmEncryptionPassword) {
+      setError('Encryption passwords do not match');
+      return;
+    }
+
+    if (formData.newEncryptionPassword.length < 8) {
+      setError('Encryption password must be at least 8 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      // Reading the wrapped key needs a Firebase session
+      const recoveringUser = user || await loginUser(formData.email, formData.password);
+
+      await recoverWithPhrase(
+        recoveringUser.uid,
+        formData.recoveryPhrase,
+        formData.newEncryptionPassword
+      );
+
+      console.log('Access restored with recovery phrase');
+      navigate('/notes', { replace: true });
+    } catch (error) {
+      console.error('Recovery error:', error);
+      setError(error.message || 'Failed to recover your notes. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>🛟 Recover Your Notes</h2>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          {!user && (
+            <>
+              <div className="form-group">
+                <input
+                  type="email"
+                  name="email"
+                  placeholder="Email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <input
+                  type="password"
+                  name="password"
+                  placeholder="Password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  className="form-input"
+                />
+              </div>
+            </>
+          )}
+
+          <div className="form-group">
+            <textarea
+              name="recoveryPhrase"
+              placeholder="Recovery phrase (12 words)"
+              value={formData.recoveryPhrase}
+              onChange={handleChange}
+              required
+              rows="3"
+              autoComplete="off"
+              spellCheck="false"
+              className="form-input recovery-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <input
+              type="password"
+              name="newEncryptionPassword"
+              placeholder="New encryption password (min 8 characters)"
+              value={formData.newEncryptionPassword}
+              onChange={handleChange}
+              required
+              minLength="8"
+              className="form-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <input
+              type="password"
+              name="confirmEncryptionPassword"
+              placeholder="Confirm new encryption password"
+              value={formData.confirmEncryptionPassword}
+              onChange={handleChange}
+              required
+              className="form-input"
+            />
+            <small className="help-text">
+              Your old encryption password will stop working
+            </small>
+          </div>
+
+          <button type="submit" disabled={loading} className="submit-btn">
+            {loading ? 'Recovering...' : 'Recover Notes'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>Remembered it? <Link to="/login">Back to login</Link></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Recover;
@@ -0,0 +1,25 @@
+// src/components/Auth/RecoveryPhrase.js
+import React from 'react';
+import './Auth.css';
+
+function RecoveryPhrase({ phrase }) {
+  const words = phrase.split(' ');
+
+  return (
+    <div className="recovery-phrase">
+      <h3 className="recovery-print-title">🔐 Secure Notes recovery phrase</h3>
+      <ol className="recovery-words">
+        {words.map((word, index) => (
+          <li key={index} className="recovery-word">
+            {word}
+          </li>
+        ))}
+      </ol>
+      <button type="button" onClick={() => window.print()} className="print-btn">
+        🖨️ Print
+      </button>
+    </div>
+  );
+}
+
+export default RecoveryPhrase;
@@ -1,9 +1,8 @@
 // src/components/Auth/Register.js
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { registerUser, saveUserEncryptionSalt } from '../../services/firebase';
-import encryptionService from '../../services/encryption';
-import notesDB from '../../services/indexedDB';
+import { registerUser } from '../../services/backend';
+import { setupAccountKeys, createRecoveryPhrase } from '../../services/keyManager';
 import './Auth.css';
 
 function Register() {
@@ -51,26 +50,18 @@ function Register() {
         formData.displayName
       );
 
-      // Generate encryption key from password
+      // Generate a data key wrapped by the encryption password, save it to
+      // Firestore and locally, and set it for this session
       const encPassword = formData.encryptionPassword || formData.password;
-      const { key, salt } = await encryptionService.deriveKeyFromPassword(encPassword);
+      const key = await setupAccountKeys(user.uid, encPassword);
 
-      // Set the master key for this session
-      encryptionService.setMasterKey(key);
-
-      // Save encryption salt to Firestore
-      await saveUserEncryptionSalt(user.uid, salt);
-
-      // Save salt locally for offline access
-      await notesDB.saveEncryptionSalt(user.uid, salt);
-
-      // Store encryption key in session storage as backup
-      sessionStorage.setItem('encKey', key);
+      // A recovery phrase can unwrap the same data key if the password is forgotten
+      const recoveryPhrase = await createRecoveryPhrase(user.uid, key);
 
       console.log('User registered and encryption key set');
 
-      // Navigate to notes
-      navigate('/notes');
+      // Show the recovery phrase before going to notes
+      navigate('/recovery-phrase', { replace: true, state: { phrase: recoveryPhrase } });
     } catch (error) {
       console.error('Registration error:', error);
       if (error.code === 'auth/email-already-in-use') {
@@ -167,7 +158,7 @@ function Register() {
         <div className="security-notice">
           <p>🔐 Your notes are encrypted end-to-end</p>
           <p>📝 We never see your decrypted content</p>
-          <p>🔑 Remember your encryption password - it cannot be recovered!</p>
+          <p>🔑 Remember your encryption password - only your recovery phrase can replace it!</p>
         </div>
       </div>
     </div>
@@ -0,0 +1,22 @@
+// src/components/Auth/RequireUnlock.js
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+
+// Guard for routes that need decrypted notes: signed-out users go to login,
+// locked sessions go to the unlock screen and come back here afterwards
+function RequireUnlock({ user, children }) {
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" />;
+  }
+
+  if (!user.encryptionReady) {
+    const from = location.pathname + location.search;
+    return <Navigate to="/unlock" replace state={{ from }} />;
+  }
+
+  return children;
+}
+
+export default RequireUnlock;
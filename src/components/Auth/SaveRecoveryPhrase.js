@@ -0,0 +1,52 @@
+// src/components/Auth/SaveRecoveryPhrase.js
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import RecoveryPhrase from './RecoveryPhrase';
+import './Auth.css';
+
+function SaveRecoveryPhrase() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [confirmed, setConfirmed] = useState(false);
+  const phrase = location.state && location.state.phrase;
+
+  if (!phrase) {
+    return <Navigate to="/notes" replace />;
+  }
+
+  const handleContinue = () => {
+    // Replace the history entry so the phrase doesn't stay in history state
+    navigate('/notes', { replace: true });
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>📜 Save Your Recovery Phrase</h2>
+
+        <p className="recovery-intro">
+          If you forget your encryption password, these words are the only way
+          to get your notes back. Write them down or print them and keep them
+          somewhere safe. They will not be shown again.
+        </p>
+
+        <RecoveryPhrase phrase={phrase} />
+
+        <label className="recovery-confirm">
+          <input
+            type="checkbox"
+            checked={confirmed}
+            onChange={(e) => setConfirmed(e.target.checked)}
+          />
+          I have saved my recovery phrase
+        </label>
+
+        <button onClick={handleContinue} disabled={!confirmed} className="submit-btn">
+          Continue to My Notes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SaveRecoveryPhrase;
@@ -0,0 +1,75 @@
+// src/components/Auth/Unlock.js
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { unlockSession } from '../../services/keyManager';
+import './Auth.css';
+
+function Unlock({ user, onLogout }) {
+  const location = useLocation();
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Back to the route that was open when the notes were locked
+  const from = (location.state && location.state.from) || '/notes';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      // Unlocking flips user.encryptionReady, which redirects below
+      await unlockSession(user.uid, password);
+      console.log('Encryption key unlocked');
+    } catch (error) {
+      console.error('Unlock error:', error);
+      setError(error.message || 'Failed to unlock. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  if (user.encryptionReady) {
+    return <Navigate to={from} replace />;
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>🔒 Notes Locked</h2>
+
+        <p className="recovery-intro">
+          Signed in as <strong>{user.email}</strong>. Enter your encryption password to unlock.
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <input
+              type="password"
+              name="encryptionPassword"
+              placeholder="Encryption Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoFocus
+              className="form-input"
+            />
+          </div>
+
+          <button type="submit" disabled={loading} className="submit-btn">
+            {loading ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>Forgot your encryption password? <Link to="/recover">Use your recovery phrase</Link></p>
+          <p>Not you? <button type="button" onClick={onLogout} className="link-btn">Log out</button></p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Unlock;
@@ -0,0 +1,60 @@
+// src/components/Layout/DatabaseNotice.js
+import React, { useState, useEffect } from 'react';
+import notesDB from '../../services/indexedDB';
+
+// Explains why the local database can't be opened (another tab holds an older
+// version, this tab is outdated, or the upgrade failed) and offers the way out
+function DatabaseNotice() {
+  const [openIssue, setOpenIssue] = useState(notesDB.openIssue);
+  const [repairing, setRepairing] = useState(false);
+  const [repairError, setRepairError] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = notesDB.onOpenIssue(setOpenIssue);
+    notesDB.isAvailable();
+    return unsubscribe;
+  }, []);
+
+  const handleRepair = async () => {
+    setRepairing(true);
+    setRepairError('');
+    try {
+      await notesDB.rebuildDatabase();
+      window.location.reload();
+    } catch (error) {
+      setRepairError('Repair failed: ' + (error.message || error));
+      setRepairing(false);
+    }
+  };
+
+  if (!openIssue) return null;
+
+  if (openIssue.issue === 'blocked') {
+    return (
+      <div className="update-banner">
+        🔄 Updating offline storage - close Secure Notes in your other tabs to finish.
+      </div>
+    );
+  }
+
+  if (openIssue.issue === 'outdated') {
+    return (
+      <div className="update-banner">
+        ✨ A newer version of Secure Notes is open in another tab.
+        <button onClick={() => window.location.reload()}>Reload</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="update-banner">
+      ⚠️ Offline storage couldn't be upgraded. Repairing rebuilds it and keeps your unsynced changes.
+      <button onClick={handleRepair} disabled={repairing}>
+        {repairing ? 'Repairing...' : 'Repair'}
+      </button>
+      {repairError && <div className="error-message">{repairError}</div>}
+    </div>
+  );
+}
+
+export default DatabaseNotice;
@@ -3,7 +3,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import './Header.css';
 
-function Header({ user, onLogout, isOffline, syncStatus }) {
+function Header({ user, onLogout, onLock, isOffline, syncStatus, onToggleSyncPanel }) {
   return (
     <header className="app-header">
       <div className="header-content">
@@ -17,20 +17,41 @@ function Header({ user, onLogout, isOffline, syncStatus }) {
           <div className="header-nav">
             <div className="user-info">
               {isOffline && (
-                <span className="offline-indicator">📵 Offline</span>
+                <button
+                  onClick={onToggleSyncPanel}
+                  className="offline-indicator"
+                  title="Show sync activity"
+                >
+                  📵 Offline
+                </button>
               )}
               
               {!isOffline && syncStatus && (
-                <span className={`sync-indicator ${syncStatus}`}>
+                <button
+                  onClick={onToggleSyncPanel}
+                  className={`sync-indicator ${syncStatus}`}
+                  title="Show sync activity"
+                >
                   {syncStatus === 'synced' && '✓ Synced'}
                   {syncStatus === 'syncing' && '↻ Syncing...'}
+                  {syncStatus === 'retrying' && '↻ Retrying'}
                   {syncStatus === 'error' && '⚠ Sync Error'}
-                </span>
+                </button>
               )}
 
               <span className="user-email">{user.email}</span>
             </div>
 
+            <Link to="/settings" className="settings-link">
+              ⚙️ Settings
+            </Link>
+
+            {user.encryptionReady && (
+              <button onClick={onLock} className="lock-btn" title="Lock notes">
+                🔒 Lock
+              </button>
+            )}
+
             <button onClick={onLogout} className="logout-btn">
               Logout
             </button>
@@ -0,0 +1,145 @@
+// src/components/Layout/LogoutDialog.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { flushPendingChanges, getUnsyncedNotes, exportUnsyncedNotes } from '../../services/unsyncedNotes';
+import './LogoutDialog.css';
+
+const REASON_LABELS = {
+  queued: 'waiting to sync',
+  failed: 'failed to sync',
+  conflict: 'unresolved conflict',
+  history: 'revisions not uploaded'
+};
+
+// Signing out deletes this device's copy of the notes. Tries a last sync
+// first; if changes are still only on this device, lists the notes they
+// belong to and lets the user wait, export them or discard them.
+function LogoutDialog({ user, isOffline, onConfirm, onCancel }) {
+  const [unsynced, setUnsynced] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [exported, setExported] = useState(false);
+  const [error, setError] = useState('');
+
+  // Only with a Firebase session and the key can anything be pushed
+  const canSync = !isOffline && user.encryptionReady && !user.offlineSession;
+
+  const checkUnsynced = useCallback(async () => {
+    setError('');
+    try {
+      if (canSync) {
+        setSyncing(true);
+        try {
+          await flushPendingChanges(user.uid);
+        } catch (err) {
+          console.error('Final sync failed:', err);
+        } finally {
+          setSyncing(false);
+        }
+      }
+
+      const notes = await getUnsyncedNotes(user.uid);
+      if (notes.length === 0) {
+        onConfirm();
+        return;
+      }
+      setUnsynced(notes);
+    } catch (err) {
+      console.error('Error checking unsynced notes:', err);
+      setError('Could not check for unsynced changes.');
+      setUnsynced([]);
+    }
+  }, [canSync, user.uid, onConfirm]);
+
+  useEffect(() => {
+    checkUnsynced();
+  }, [checkUnsynced]);
+
+  const handleExport = async () => {
+    setError('');
+    try {
+      const { blob, fileName } = await exportUnsyncedNotes(user.uid);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+      setExported(true);
+    } catch (err) {
+      console.error('Error exporting notes:', err);
+      setError('Failed to export the notes. Please try again.');
+    }
+  };
+
+  const handleDiscard = () => {
+    const message = exported
+      ? 'Sign out and delete the unsynced changes from this device? Your export keeps a copy.'
+      : `Sign out and delete the unsynced changes to ${unsynced.length} note(s)? This cannot be undone.`;
+    if (window.confirm(message)) {
+      onConfirm();
+    }
+  };
+
+  if (!unsynced) {
+    return (
+      <div className="logout-dialog-backdrop">
+        <div className="logout-dialog">
+          <div className="loader"></div>
+          <p>{syncing ? 'Syncing your last changes...' : 'Checking for unsynced changes...'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="logout-dialog-backdrop">
+      <div className="logout-dialog" role="dialog" aria-labelledby="logout-dialog-title">
+        <h3 id="logout-dialog-title">Unsynced changes</h3>
+
+        <p className="logout-dialog-description">
+          Signing out deletes the notes stored on this device. These changes haven't reached
+          the server yet and would be lost:
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <ul className="logout-dialog-notes">
+          {unsynced.map(entry => (
+            <li key={entry.noteId}>
+              <span className="logout-dialog-title">{entry.title}</span>
+              <span className="logout-dialog-reason">
+                {entry.reasons.map(reason => REASON_LABELS[reason]).join(', ')}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        {!canSync && (
+          <p className="logout-dialog-hint">
+            {user.offlineSession || isOffline
+              ? "You're offline - stay signed in and they sync once you're back online."
+              : 'Unlock your notes to sync them.'}
+          </p>
+        )}
+
+        <div className="logout-dialog-actions">
+          <button onClick={onCancel} className="primary">
+            Stay signed in
+          </button>
+          {canSync && (
+            <button onClick={checkUnsynced} disabled={syncing}>
+              Try syncing again
+            </button>
+          )}
+          <button onClick={handleExport}>
+            {exported ? 'Exported ✓' : 'Export encrypted file'}
+          </button>
+          <button onClick={handleDiscard} className="danger">
+            Discard and sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LogoutDialog;
@@ -0,0 +1,168 @@
+// src/components/Layout/SyncPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import encryptionService from '../../services/encryption';
+import notesDB from '../../services/indexedDB';
+import { discardNoteChanges } from '../../services/syncEngine';
+import { broadcastNotesChanged } from '../../services/tabSync';
+import './SyncPanel.css';
+
+const ACTION_LABELS = { create: 'Created', update: 'Edited', delete: 'Deleted' };
+
+const formatTime = (value) => new Date(value).toLocaleTimeString();
+
+// Readable title of a cached note, without failing the whole panel
+const getNoteTitle = async (noteId) => {
+  const note = await notesDB.notes.get(noteId);
+  if (!note) return 'Deleted note';
+  if (!note.encrypted) return note.title || 'Untitled Note';
+  if (!encryptionService.hasMasterKey()) return 'Locked note';
+
+  try {
+    return (await encryptionService.decryptNoteField(note, 'title')) || 'Untitled Note';
+  } catch (error) {
+    return 'Unreadable note';
+  }
+};
+
+// Group the sync activity by note: failed ones first, then queued, then synced
+const groupByNote = async ({ queued, failed, synced }) => {
+  const groups = new Map();
+  const groupFor = (noteId) => {
+    if (!groups.has(noteId)) {
+      groups.set(noteId, { noteId, queued: [], failed: [], synced: [] });
+    }
+    return groups.get(noteId);
+  };
+
+  failed.forEach(entry => groupFor(entry.noteId).failed.push(entry));
+  queued.forEach(entry => groupFor(entry.noteId).queued.push(entry));
+  synced.forEach(entry => groupFor(entry.noteId).synced.push(entry));
+
+  return Promise.all([...groups.values()].map(async group => ({
+    ...group,
+    title: await getNoteTitle(group.noteId)
+  })));
+};
+
+function SyncPanel({ user, isOffline, syncStatus, notesChange, onSync, onChange, onClose }) {
+  const [groups, setGroups] = useState([]);
+  const [busyNoteId, setBusyNoteId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadActivity = useCallback(async () => {
+    try {
+      setGroups(await groupByNote(await notesDB.getSyncActivity(user.uid)));
+    } catch (err) {
+      console.error('Error loading sync activity:', err);
+      setError('Failed to load sync activity');
+    }
+  }, [user.uid]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity, syncStatus, notesChange]);
+
+  const handleRetry = async (noteId) => {
+    setBusyNoteId(noteId);
+    setError('');
+    try {
+      await notesDB.retryNoteSync(noteId);
+      await onSync();
+    } catch (err) {
+      console.error('Error retrying sync:', err);
+      setError(err.message || 'Failed to retry');
+    } finally {
+      setBusyNoteId(null);
+      loadActivity();
+    }
+  };
+
+  const handleDiscard = async (noteId) => {
+    if (!window.confirm('Discard the changes to this note that have not synced? The version on the server will be kept.')) {
+      return;
+    }
+
+    setBusyNoteId(noteId);
+    setError('');
+    try {
+      await discardNoteChanges(user.uid, noteId);
+      onChange([noteId]);
+      broadcastNotesChanged(user.uid, [noteId]);
+    } catch (err) {
+      console.error('Error discarding changes:', err);
+      setError(err.message || 'Failed to discard changes');
+    } finally {
+      setBusyNoteId(null);
+      loadActivity();
+    }
+  };
+
+  const groupOrder = (group) => (group.failed.length > 0 ? 0 : group.queued.length > 0 ? 1 : 2);
+  const sortedGroups = [...groups].sort((a, b) => groupOrder(a) - groupOrder(b));
+
+  return (
+    <div className="sync-panel">
+      <div className="sync-panel-header">
+        <h3>Sync Activity</h3>
+        <button onClick={onClose} className="sync-panel-close" title="Close">
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {sortedGroups.length === 0 ? (
+        <p className="sync-panel-empty">Nothing has synced yet.</p>
+      ) : (
+        <ul className="sync-panel-notes">
+          {sortedGroups.map(group => (
+            <li key={group.noteId} className="sync-panel-note">
+              <div className="sync-panel-title">{group.title}</div>
+
+              {group.failed.map(entry => (
+                <div key={`failed-${entry.id}`} className="sync-entry failed">
+                  ⚠ {ACTION_LABELS[entry.action]} - failed after {entry.attempts} attempts: {entry.error}
+                </div>
+              ))}
+
+              {group.queued.map(entry => (
+                <div key={`queued-${entry.id}`} className="sync-entry queued">
+                  ⏳ {ACTION_LABELS[entry.action]} - queued
+                  {entry.attempts > 0 && (
+                    <> (attempt {entry.attempts} failed: {entry.lastError}; next try {formatTime(entry.nextAttemptAt)})</>
+                  )}
+                </div>
+              ))}
+
+              {group.synced.slice(0, 3).map(entry => (
+                <div key={`synced-${entry.id}`} className="sync-entry synced">
+                  ✓ {ACTION_LABELS[entry.action]} - synced {formatTime(entry.syncedAt)}
+                </div>
+              ))}
+
+              {(group.failed.length > 0 || group.queued.length > 0) && (
+                <div className="sync-panel-actions">
+                  <button
+                    onClick={() => handleRetry(group.noteId)}
+                    disabled={isOffline || busyNoteId === group.noteId}
+                  >
+                    Retry
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(group.noteId)}
+                    disabled={isOffline || busyNoteId === group.noteId}
+                    className="danger"
+                  >
+                    Discard
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SyncPanel;
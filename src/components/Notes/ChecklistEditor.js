@@ -0,0 +1,224 @@
+// src/components/Notes/ChecklistEditor.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  createChecklistItem,
+  getProgress,
+  getSubtreeEnd,
+  setItemChecked,
+  indentItem,
+  moveItem,
+  removeItem
+} from '../../utils/checklist';
+import { CHECKED_ITEM_VIEWS } from '../../utils/constants';
+import './Notes.css';
+
+const INDENT_WIDTH = 24; // px per nesting level; dragging this far sideways nests or un-nests
+const CHECKED_VIEW_LABELS = {
+  show: 'Show checked items',
+  collapse: 'Collapse checked items',
+  hide: 'Hide checked items'
+};
+
+// Items of a checklist note: check them, edit them in place, drag them (with
+// their nested items) to reorder or re-nest, or use the keyboard - Enter adds
+// an item, Tab / Shift+Tab nest, Alt+Up / Alt+Down move, Backspace on an empty
+// item removes it
+function ChecklistEditor({ checklist, onChange, disabled }) {
+  const { items, checkedView = 'show' } = checklist;
+  const [showChecked, setShowChecked] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [focusId, setFocusId] = useState(null);
+  const inputRefs = useRef(new Map());
+  const dragStartX = useRef(0);
+
+  // Focus an item added or moved from the keyboard once it is rendered
+  useEffect(() => {
+    if (!focusId) return;
+    const input = inputRefs.current.get(focusId);
+    if (input) input.focus();
+    setFocusId(null);
+  }, [focusId, items]);
+
+  const updateItems = (nextItems) => onChange({ ...checklist, items: nextItems });
+
+  const updateText = (index, text) => {
+    updateItems(items.map((item, i) => (i === index ? { ...item, text } : item)));
+  };
+
+  const addItem = (index = items.length, depth = 0) => {
+    const item = createChecklistItem('', depth);
+    updateItems([...items.slice(0, index), item, ...items.slice(index)]);
+    setFocusId(item.id);
+  };
+
+  const handleKeyDown = (event, index) => {
+    const item = items[index];
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      addItem(index + 1, item.depth);
+    } else if (event.key === 'Tab') {
+      event.preventDefault();
+      updateItems(indentItem(items, index, event.shiftKey ? -1 : 1));
+    } else if (event.key === 'Backspace' && item.text === '' && items.length > 1) {
+      event.preventDefault();
+      const previous = items[index - 1] || items[index + 1];
+      updateItems(removeItem(items, index));
+      setFocusId(previous.id);
+    } else if (event.altKey && event.key === 'ArrowUp' && index > 0) {
+      event.preventDefault();
+      // Above the previous sibling (or the parent, at the top of a group)
+      let target = index - 1;
+      while (target > 0 && items[target].depth > item.depth) target--;
+      updateItems(moveItem(items, index, target, item.depth));
+      setFocusId(item.id);
+    } else if (event.altKey && event.key === 'ArrowDown') {
+      event.preventDefault();
+      const end = getSubtreeEnd(items, index);
+      if (end < items.length) {
+        // Below the next sibling and its nested items
+        updateItems(moveItem(items, index, getSubtreeEnd(items, end), item.depth));
+        setFocusId(item.id);
+      }
+    }
+  };
+
+  const handleDragOver = (event, index) => {
+    if (dragIndex === null) return;
+    event.preventDefault();
+
+    const row = event.currentTarget.getBoundingClientRect();
+    const after = event.clientY > row.top + row.height / 2;
+    const shift = Math.round((event.clientX - dragStartX.current) / INDENT_WIDTH);
+    const depth = Math.max(0, items[dragIndex].depth + shift);
+    setDropTarget({ index: after ? index + 1 : index, depth, after, rowIndex: index });
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    if (dragIndex !== null && dropTarget) {
+      updateItems(moveItem(items, dragIndex, dropTarget.index, dropTarget.depth));
+    }
+    setDragIndex(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropTarget(null);
+  };
+
+  const renderItem = (item, index) => {
+    const dropClass = dropTarget && dropTarget.rowIndex === index
+      ? (dropTarget.after ? 'drop-after' : 'drop-before')
+      : '';
+
+    return (
+      <li
+        key={item.id}
+        className={`checklist-item ${item.checked ? 'checked' : ''} ${dragIndex === index ? 'dragging' : ''} ${dropClass}`}
+        style={{ paddingLeft: item.depth * INDENT_WIDTH }}
+        onDragOver={(event) => handleDragOver(event, index)}
+        onDrop={handleDrop}
+      >
+        <span
+          className="checklist-handle"
+          draggable={!disabled}
+          onDragStart={(event) => {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', item.text);
+            dragStartX.current = event.clientX;
+            setDragIndex(index);
+          }}
+          onDragEnd={handleDragEnd}
+          title="Drag to move"
+        >
+          ⋮⋮
+        </span>
+        <input
+          type="checkbox"
+          checked={item.checked}
+          onChange={(event) => updateItems(setItemChecked(items, index, event.target.checked))}
+          disabled={disabled}
+          aria-label={`Mark "${item.text || 'item'}" as done`}
+        />
+        <input
+          type="text"
+          ref={(input) => {
+            if (input) {
+              inputRefs.current.set(item.id, input);
+            } else {
+              inputRefs.current.delete(item.id);
+            }
+          }}
+          value={item.text}
+          placeholder="List item"
+          onChange={(event) => updateText(index, event.target.value)}
+          onKeyDown={(event) => handleKeyDown(event, index)}
+          disabled={disabled}
+          className="checklist-text"
+        />
+        <button
+          onClick={() => updateItems(removeItem(items, index))}
+          disabled={disabled}
+          className="checklist-remove"
+          title="Remove item"
+        >
+          ✕
+        </button>
+      </li>
+    );
+  };
+
+  const { done, total } = getProgress(items);
+  const indexed = items.map((item, index) => ({ item, index }));
+  const visible = checkedView === 'show' ? indexed : indexed.filter(({ item }) => !item.checked);
+  const checked = indexed.filter(({ item }) => item.checked);
+
+  return (
+    <div className="checklist-editor">
+      <div className="checklist-toolbar">
+        <span className="checklist-progress">{done} of {total} done</span>
+        <select
+          value={checkedView}
+          onChange={(event) => onChange({ ...checklist, checkedView: event.target.value })}
+          disabled={disabled}
+        >
+          {CHECKED_ITEM_VIEWS.map(view => (
+            <option key={view} value={view}>{CHECKED_VIEW_LABELS[view]}</option>
+          ))}
+        </select>
+      </div>
+
+      <ul className="checklist-items">
+        {visible.map(({ item, index }) => renderItem(item, index))}
+      </ul>
+
+      <button onClick={() => addItem()} disabled={disabled} className="checklist-add">
+        + Add item
+      </button>
+
+      {checkedView === 'collapse' && checked.length > 0 && (
+        <div className="checklist-checked">
+          <button onClick={() => setShowChecked(open => !open)} className="checklist-checked-toggle">
+            {showChecked ? '▾' : '▸'} {checked.length} checked {checked.length === 1 ? 'item' : 'items'}
+          </button>
+          {showChecked && (
+            <ul className="checklist-items">
+              {checked.map(({ item, index }) => renderItem(item, index))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {checkedView === 'hide' && checked.length > 0 && (
+        <p className="checklist-hidden-note">
+          {checked.length} checked {checked.length === 1 ? 'item is' : 'items are'} hidden
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ChecklistEditor;
@@ -0,0 +1,228 @@
+// src/components/Notes/ConflictResolver.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import encryptionService from '../../services/encryption';
+import notesDB from '../../services/indexedDB';
+import { resolveConflict, acceptServerVersion } from '../../services/syncEngine';
+import { broadcastNotesChanged } from '../../services/tabSync';
+import { diffLines, mergeHunks } from '../../utils/diff';
+import { parseChecklistText } from '../../utils/checklist';
+import './Notes.css';
+
+const CHOICE_LABELS = { mine: 'This device', theirs: 'Other device', both: 'Both' };
+
+function ConflictResolver({ user, isOffline }) {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [conflict, setConflict] = useState(null);
+  const [versions, setVersions] = useState(null);
+  const [titleChoice, setTitleChoice] = useState('mine');
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadConflict = useCallback(async () => {
+    setLoading(true);
+    try {
+      const stored = await notesDB.getConflict(id);
+      if (!stored) {
+        navigate(`/notes/${id}`, { replace: true });
+        return;
+      }
+
+      // Both sides stay encrypted at rest - decrypt them only for this view
+      const [mine, theirs] = await Promise.all([
+        encryptionService.decryptNote({ ...stored.local, userId: user.uid }),
+        encryptionService.decryptNote({ ...stored.remote, userId: user.uid })
+      ]);
+
+      setConflict(stored);
+      setVersions({ mine, theirs });
+      setChoices({});
+    } catch (err) {
+      console.error('Error loading conflict:', err);
+      setError(err.message || 'Failed to load the conflicting versions');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, user.uid, navigate]);
+
+  useEffect(() => {
+    loadConflict();
+  }, [loadConflict]);
+
+  const hunks = useMemo(
+    () => (versions ? diffLines(versions.mine.content, versions.theirs.content) : []),
+    [versions]
+  );
+
+  const mergedContent = useMemo(() => mergeHunks(hunks, choices), [hunks, choices]);
+
+  const save = async (resolved) => {
+    setSaving(true);
+    setError('');
+    try {
+      await resolveConflict(user.uid, conflict, resolved);
+      broadcastNotesChanged(user.uid, [conflict.noteId]);
+      navigate('/notes');
+    } catch (err) {
+      console.error('Error resolving conflict:', err);
+      if (err.code === 'revision-conflict') {
+        setError('The note changed again on another device. Review the new version.');
+        await loadConflict();
+      } else {
+        setError(err.message || 'Failed to save the note');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeepMine = () => {
+    const { mine, theirs } = versions;
+    save({ ...theirs, title: mine.title, content: mine.content, tags: mine.tags, checklist: mine.checklist });
+  };
+
+  const handleKeepTheirs = async () => {
+    setSaving(true);
+    try {
+      await acceptServerVersion(conflict);
+      broadcastNotesChanged(user.uid, [conflict.noteId]);
+      navigate('/notes');
+    } catch (err) {
+      console.error('Error resolving conflict:', err);
+      setError(err.message || 'Failed to keep the other version');
+      setSaving(false);
+    }
+  };
+
+  const handleSaveMerge = () => {
+    const { mine, theirs } = versions;
+    save({
+      ...theirs,
+      title: titleChoice === 'mine' ? mine.title : theirs.title,
+      content: mergedContent,
+      tags: [...new Set([...(mine.tags || []), ...(theirs.tags || [])])],
+      // A checklist's content is its items as a task list, so the merged
+      // lines become the merged items
+      checklist: mine.checklist || theirs.checklist
+        ? { ...(mine.checklist || theirs.checklist), items: parseChecklistText(mergedContent) }
+        : null
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loader"></div>
+        <p>Loading versions...</p>
+      </div>
+    );
+  }
+
+  if (!versions) {
+    return (
+      <div className="note-editor">
+        {error && <div className="error-message">{error}</div>}
+        <Link to="/notes" className="cancel-btn">← Back to notes</Link>
+      </div>
+    );
+  }
+
+  const { mine, theirs } = versions;
+
+  return (
+    <div className="note-editor conflict-resolver">
+      <div className="editor-header">
+        <h2>⚠️ Resolve Conflict</h2>
+        <div className="editor-actions">
+          <Link to="/notes" className="cancel-btn">Cancel</Link>
+        </div>
+      </div>
+
+      <p className="conflict-intro">
+        This note was changed on this device and on another device at the same time.
+        Keep one version, or pick changes from each below.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isOffline && (
+        <div className="offline-notice">
+          📵 Reconnect to save a resolution
+        </div>
+      )}
+
+      <div className="conflict-versions">
+        <div className="conflict-version">
+          <h3>{CHOICE_LABELS.mine}</h3>
+          <p className="conflict-title">{mine.title || 'Untitled Note'}</p>
+          <pre className="conflict-content">{mine.content}</pre>
+          <button onClick={handleKeepMine} disabled={saving || isOffline} className="save-btn">
+            Keep this version
+          </button>
+        </div>
+
+        <div className="conflict-version">
+          <h3>{CHOICE_LABELS.theirs}</h3>
+          <p className="conflict-title">{theirs.title || 'Untitled Note'}</p>
+          <pre className="conflict-content">{theirs.content}</pre>
+          <button onClick={handleKeepTheirs} disabled={saving} className="save-btn">
+            Keep this version
+          </button>
+        </div>
+      </div>
+
+      <div className="conflict-merge">
+        <h3>Merge line by line</h3>
+
+        {mine.title !== theirs.title && (
+          <div className="conflict-hunk">
+            <span className="conflict-label">Title</span>
+            {['mine', 'theirs'].map(side => (
+              <button
+                key={side}
+                onClick={() => setTitleChoice(side)}
+                className={`conflict-choice ${titleChoice === side ? 'selected' : ''}`}
+              >
+                {CHOICE_LABELS[side]}: {versions[side].title || 'Untitled Note'}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {hunks.map((hunk, index) => (
+          hunk.type === 'same' ? (
+            <pre key={index} className="conflict-same">{hunk.lines.join('\n')}</pre>
+          ) : (
+            <div key={index} className="conflict-hunk">
+              <pre className="conflict-mine">{hunk.mine.join('\n')}</pre>
+              <pre className="conflict-theirs">{hunk.theirs.join('\n')}</pre>
+              <div className="conflict-choices">
+                {['mine', 'theirs', 'both'].map(side => (
+                  <button
+                    key={side}
+                    onClick={() => setChoices({ ...choices, [index]: side })}
+                    className={`conflict-choice ${(choices[index] || 'mine') === side ? 'selected' : ''}`}
+                  >
+                    {CHOICE_LABELS[side]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )
+        ))}
+
+        <h3>Result</h3>
+        <pre className="conflict-content">{mergedContent}</pre>
+
+        <button onClick={handleSaveMerge} disabled={saving || isOffline} className="save-btn">
+          {saving ? 'Saving...' : 'Save Merged Note'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictResolver;
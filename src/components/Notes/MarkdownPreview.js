@@ -0,0 +1,124 @@
+// src/components/Notes/MarkdownPreview.js
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../../utils/markdown';
+import { highlightCode, getLanguage } from '../../utils/highlight';
+import './Notes.css';
+
+// Every node becomes a React element, so note text is always escaped and
+// never parsed as HTML
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    case 'code':
+      return <code key={index}>{node.text}</code>;
+    case 'break':
+      return <br key={index} />;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'del':
+      return <del key={index}>{renderInline(node.children)}</del>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} title={node.title || undefined} target="_blank" rel="noopener noreferrer">
+          {renderInline(node.children)}
+        </a>
+      );
+    default:
+      return <span key={index}>{renderInline(node.children || [])}</span>;
+  }
+});
+
+const CodeBlock = ({ lang, text }) => (
+  <pre className="markdown-code" data-language={getLanguage(lang) ? lang : undefined}>
+    <code>
+      {highlightCode(text, lang).map((token, index) => (
+        token.type === 'plain'
+          ? <React.Fragment key={index}>{token.text}</React.Fragment>
+          : <span key={index} className={`token-${token.type}`}>{token.text}</span>
+      ))}
+    </code>
+  </pre>
+);
+
+// The first paragraph of a list item sits on the marker's line
+const renderListItem = (blocks) => {
+  if (blocks.length === 0 || blocks[0].type !== 'paragraph') return renderBlocks(blocks);
+  return [
+    <React.Fragment key="text">{renderInline(blocks[0].children)}</React.Fragment>,
+    ...renderBlocks(blocks.slice(1))
+  ];
+};
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Heading = `h${block.level}`;
+      return <Heading key={index}>{renderInline(block.children)}</Heading>;
+    }
+    case 'paragraph':
+      return <p key={index}>{renderInline(block.children)}</p>;
+    case 'code':
+      return <CodeBlock key={index} lang={block.lang} text={block.text} />;
+    case 'quote':
+      return <blockquote key={index}>{renderBlocks(block.blocks)}</blockquote>;
+    case 'hr':
+      return <hr key={index} />;
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex} className={item.checked !== null ? 'task-item' : undefined}>
+              {item.checked !== null && <input type="checkbox" checked={item.checked} disabled />}
+              {renderListItem(item.blocks)}
+            </li>
+          ))}
+        </List>
+      );
+    }
+    case 'table':
+      return (
+        <div key={index} className="markdown-table">
+          <table>
+            <thead>
+              <tr>
+                {block.header.map((cell, column) => (
+                  <th key={column} style={{ textAlign: block.align[column] || undefined }}>
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((cell, column) => (
+                    <td key={column} style={{ textAlign: block.align[column] || undefined }}>
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    default:
+      return null;
+  }
+});
+
+function MarkdownPreview({ content }) {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+
+  if (blocks.length === 0) {
+    return <div className="markdown-preview markdown-empty">Nothing to preview</div>;
+  }
+
+  return <div className="markdown-preview">{renderBlocks(blocks)}</div>;
+}
+
+export default MarkdownPreview;
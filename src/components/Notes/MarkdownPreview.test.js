@@ -0,0 +1,37 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownPreview from './MarkdownPreview';
+
+const toHtml = (content) => renderToStaticMarkup(<MarkdownPreview content={content} />);
+
+describe('MarkdownPreview', () => {
+  test('escapes raw HTML in notes', () => {
+    expect(toHtml('<script>alert(1)</script>\n\n<img src=x onerror=alert(1)>'))
+      .toBe('<div class="markdown-preview"><p>&lt;script&gt;alert(1)&lt;/script&gt;</p>' +
+        '<p>&lt;img src=x onerror=alert(1)&gt;</p></div>');
+  });
+
+  test('renders unsafe links without an href', () => {
+    expect(toHtml('[click](javascript:alert(1)) and <javascript:alert(1)>')) // eslint-disable-line no-script-url
+      .toBe('<div class="markdown-preview"><p><span>click</span> and &lt;javascript:alert(1)&gt;</p></div>');
+  });
+
+  test('opens safe links in a new tab without access to the app', () => {
+    expect(toHtml('[docs](https://example.com)'))
+      .toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">docs</a>');
+  });
+
+  test('renders task list items as disabled checkboxes', () => {
+    expect(toHtml('- [x] done')).toBe(
+      '<div class="markdown-preview"><ul><li class="task-item"><input type="checkbox" disabled="" checked=""/>done</li></ul></div>'
+    );
+  });
+
+  test('highlights code in known languages', () => {
+    expect(toHtml('```js\nconst a = "b";\n```')).toContain('<span class="token-keyword">const</span>');
+  });
+
+  test('says when there is nothing to preview', () => {
+    expect(toHtml('  \n')).toContain('Nothing to preview');
+  });
+});
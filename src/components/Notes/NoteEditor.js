@@ -1,25 +1,63 @@
 // src/components/Notes/NoteEditor.js
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { saveNote, updateNote, getNote } from '../../services/firebase';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { saveNote, updateNote, getNote, createNoteId } from '../../services/backend';
 import encryptionService from '../../services/encryption';
 import notesDB from '../../services/indexedDB';
+import { broadcastNotesChanged } from '../../services/tabSync';
+import { restoreNote } from '../../services/trash';
+import { recordRevision } from '../../services/noteHistory';
+import NoteHistory from './NoteHistory';
+import MarkdownPreview from './MarkdownPreview';
+import ChecklistEditor from './ChecklistEditor';
+import { createChecklist, createChecklistItem, checklistToText, parseChecklistText } from '../../utils/checklist';
+import { EDITOR_MODES, DEFAULT_EDITOR_MODE } from '../../utils/constants';
 import './Notes.css';
 
-function NoteEditor({ user, isOffline }) {
+const EDITOR_MODE_KEY = 'editorMode';
+const EDITOR_MODE_LABELS = { edit: '✏️ Edit', split: '◫ Split', preview: '👁 Preview' };
+
+// The editor layout last picked on this device
+const getEditorMode = () => {
+  const stored = localStorage.getItem(EDITOR_MODE_KEY);
+  return EDITOR_MODES.includes(stored) ? stored : DEFAULT_EDITOR_MODE;
+};
+
+const saveEditorMode = (mode) => {
+  localStorage.setItem(EDITOR_MODE_KEY, mode);
+};
+
+function NoteEditor({ user, isOffline, notesChange }) {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [note, setNote] = useState({
+  const [searchParams] = useSearchParams();
+  // Checklist notes keep their items in checklist (null for plain notes) and
+  // a Markdown task list of them in content
+  const [note, setNote] = useState(() => ({
     title: '',
     content: '',
-    tags: []
-  });
+    tags: [],
+    checklist: searchParams.get('type') === 'checklist' ? createChecklist([createChecklistItem()]) : null
+  }));
   const [tagInput, setTagInput] = useState('');
   const [saving, setSaving] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [lastSaved, setLastSaved] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const [tamperWarning, setTamperWarning] = useState('');
+  const [hasConflict, setHasConflict] = useState(false);
+  const [remoteNotice, setRemoteNotice] = useState('');
+  // When the note was moved to the trash (it has to be restored to be edited)
+  const [trashedAt, setTrashedAt] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyNotice, setHistoryNotice] = useState('');
+  const [editorMode, setEditorMode] = useState(getEditorMode);
   const autoSaveTimerRef = useRef(null);
+  // The note as last loaded or saved, to tell whether there are unsaved edits
+  const savedNoteRef = useRef(null);
+  const noteRef = useRef(note);
+  noteRef.current = note;
 
   // Memoize loadNote to prevent re-creation
   const loadNote = useCallback(async () => {
@@ -28,6 +66,7 @@ function NoteEditor({ user, isOffline }) {
     setLoading(true);
     try {
       let noteData;
+      let knownRevision = 0;
       
       if (isOffline) {
         // Load from IndexedDB when offline
@@ -35,36 +74,58 @@ function NoteEditor({ user, isOffline }) {
         noteData = notes.find(n => n.id === id);
       } else {
         // Load from Firebase when online
+        knownRevision = (await notesDB.getKnownRevisions(user.uid))[id] || 0;
         noteData = await getNote(user.uid, id);
       }
 
       if (noteData) {
+        setRevision(noteData.revision || 0);
+        setTrashedAt(noteData.trashedAt || null);
+
         // Check if note is encrypted
         if (noteData.encrypted) {
           try {
             // Decrypt the note
-            const decrypted = encryptionService.decryptNote(noteData);
-            setNote({
+            const decrypted = await encryptionService.decryptNote(noteData, null, { knownRevision });
+            const loaded = {
               title: decrypted.title || '',
               content: decrypted.content || '',
-              tags: decrypted.tags || []
-            });
+              tags: decrypted.tags || [],
+              checklist: decrypted.checklist || null
+            };
+            savedNoteRef.current = loaded;
+            setNote(loaded);
+            setRemoteNotice('');
           } catch (err) {
             console.error('Failed to decrypt note:', err);
+            if (encryptionService.isTamperError(err)) {
+              setTamperWarning(`⚠️ ${err.message}. It may have been tampered with, so saving is disabled.`);
+              setNote({
+                title: '[Integrity Check Failed]',
+                content: 'This note does not match its id, owner or revision.',
+                tags: [],
+                checklist: null
+              });
+              return;
+            }
             setError('Unable to decrypt note. Please check your encryption password.');
             setNote({
               title: '[Unable to Decrypt]',
               content: 'This note is encrypted and cannot be decrypted with your current encryption key.',
-              tags: []
+              tags: [],
+              checklist: null
             });
           }
         } else {
           // Note is not encrypted (legacy or corrupted)
-          setNote({
+          const loaded = {
             title: noteData.title || '',
             content: noteData.content || '',
-            tags: noteData.tags || []
-          });
+            tags: noteData.tags || [],
+            checklist: null
+          };
+          savedNoteRef.current = loaded;
+          setNote(loaded);
         }
       }
     } catch (error) {
@@ -88,30 +149,29 @@ function NoteEditor({ user, isOffline }) {
     }
 
     // Check if encryption key is set
-    if (!encryptionService.getMasterKey()) {
+    if (!encryptionService.hasMasterKey()) {
       setError('Encryption key not set. Please log out and log in again.');
-      
-      // Try to restore from session storage
-      const sessionKey = sessionStorage.getItem('encKey');
-      if (sessionKey) {
-        encryptionService.setMasterKey(sessionKey);
-        console.log('Encryption key restored from session');
-      } else {
-        // Redirect to login if no key available
-        navigate('/login');
-        return;
-      }
+
+      // Redirect to login if no key available
+      navigate('/login');
+      return;
     }
 
     setSaving(true);
     setError('');
 
     try {
+      // New notes get their id up front - the ciphertext is bound to it
+      const noteId = id || createNoteId(user.uid);
+
       // Prepare note data
       const noteData = {
+        id: noteId,
+        revision,
         title: note.title,
         content: note.content,
         tags: note.tags,
+        checklist: note.checklist,
         userId: user.uid,
         updatedAt: new Date().toISOString()
       };
@@ -119,7 +179,7 @@ function NoteEditor({ user, isOffline }) {
       // Encrypt the note
       let encryptedNote;
       try {
-        encryptedNote = encryptionService.encryptNote(noteData);
+        encryptedNote = await encryptionService.encryptNote(noteData);
       } catch (encErr) {
         console.error('Encryption error:', encErr);
         setError('Failed to encrypt note. Please check your encryption settings.');
@@ -130,11 +190,19 @@ function NoteEditor({ user, isOffline }) {
       if (id) {
         // Update existing note
         if (isOffline) {
-          encryptedNote.id = id;
           encryptedNote.syncStatus = 'pending';
           await notesDB.updateNoteLocally(id, encryptedNote);
         } else {
-          await updateNote(user.uid, id, encryptedNote);
+          try {
+            // Only write over the revision this edit started from
+            await updateNote(user.uid, id, encryptedNote, revision);
+          } catch (updateError) {
+            if (updateError.code !== 'revision-conflict') throw updateError;
+
+            await notesDB.saveConflict(user.uid, { ...encryptedNote, id }, updateError.serverNote);
+            setHasConflict(true);
+            return;
+          }
           await notesDB.saveNoteLocally({ ...encryptedNote, id });
         }
       } else {
@@ -142,18 +210,19 @@ function NoteEditor({ user, isOffline }) {
         encryptedNote.createdAt = new Date().toISOString();
         
         if (isOffline) {
-          // Generate a temporary ID for offline creation
-          const tempId = `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          encryptedNote.id = tempId;
-          encryptedNote.syncStatus = 'pending';
-          await notesDB.saveNoteLocally(encryptedNote);
+          await notesDB.createNoteLocally(encryptedNote);
         } else {
-          const newId = await saveNote(user.uid, encryptedNote);
-          encryptedNote.id = newId;
+          await saveNote(user.uid, encryptedNote);
           await notesDB.saveNoteLocally(encryptedNote);
         }
       }
 
+      await recordRevision(user.uid, { ...encryptedNote, id: noteId }, isOffline);
+
+      setRevision(encryptedNote.revision);
+      savedNoteRef.current = note;
+      setHistoryNotice('');
+      broadcastNotesChanged(user.uid, [noteId]);
       setLastSaved(new Date());
       setError(''); // Clear any previous errors
       
@@ -167,7 +236,53 @@ function NoteEditor({ user, isOffline }) {
     } finally {
       setSaving(false);
     }
-  }, [note, id, user, isOffline, navigate]);
+  }, [note, id, revision, user, isOffline, navigate]);
+
+  // Another tab or device changed this note: reload it, unless that would
+  // throw away unsaved edits - saving those then leads to the conflict view
+  useEffect(() => {
+    if (!id || !user || !notesChange) return;
+    if (notesChange.noteIds && !notesChange.noteIds.includes(id)) return;
+
+    notesDB.notes.get(id).then(latest => {
+      if (!latest) {
+        setRemoteNotice('This note was deleted on another device.');
+        return;
+      }
+      setTrashedAt(latest.trashedAt || null);
+      if ((latest.revision || 0) <= revision) return;
+
+      const hasUnsavedEdits = JSON.stringify(noteRef.current) !== JSON.stringify(savedNoteRef.current);
+      if (hasUnsavedEdits) {
+        setRemoteNotice('This note was changed on another device. Saving will let you compare both versions.');
+      } else {
+        loadNote();
+      }
+    }).catch(error => console.error('Error checking for note changes:', error));
+  }, [notesChange, id, user, revision, loadNote]);
+
+  const handleRestore = async () => {
+    try {
+      await restoreNote(user.uid, id, isOffline);
+      setTrashedAt(null);
+      broadcastNotesChanged(user.uid, [id]);
+    } catch (error) {
+      console.error('Error restoring note:', error);
+      setError('Failed to restore note. Please try again.');
+    }
+  };
+
+  // Put an older revision back into the editor; saving it makes it the latest
+  const handleRestoreRevision = (version) => {
+    setNote({
+      title: version.title,
+      content: version.content,
+      tags: version.tags || [],
+      checklist: version.checklist || null
+    });
+    setShowHistory(false);
+    setHistoryNotice(`Restored revision ${version.revision} from ${new Date(version.savedAt).toLocaleString()}. Save to keep it.`);
+  };
 
   const handleAddTag = () => {
     if (tagInput.trim() && !note.tags.includes(tagInput.trim())) {
@@ -186,6 +301,26 @@ function NoteEditor({ user, isOffline }) {
     });
   };
 
+  const handleChecklistChange = (checklist) => {
+    setNote(current => ({ ...current, checklist, content: checklistToText(checklist) }));
+  };
+
+  // Lines of text become items and back; the Markdown task list in content
+  // is the same either way
+  const handleToggleChecklist = () => {
+    if (note.checklist) {
+      setNote({ ...note, checklist: null });
+    } else {
+      const items = parseChecklistText(note.content);
+      handleChecklistChange(createChecklist(items.length > 0 ? items : [createChecklistItem()]));
+    }
+  };
+
+  const handleEditorModeChange = (mode) => {
+    saveEditorMode(mode);
+    setEditorMode(mode);
+  };
+
   const handleCancel = () => {
     if (note.title || note.content) {
       if (window.confirm('Discard unsaved changes?')) {
@@ -203,8 +338,10 @@ function NoteEditor({ user, isOffline }) {
       clearTimeout(autoSaveTimerRef.current);
     }
 
-    // Only auto-save for existing notes with content
-    if (id && (note.title || note.content) && !saving && !error) {
+    // Only auto-save existing notes with content and unsaved edits (every
+    // save adds a revision to the history)
+    const hasUnsavedEdits = JSON.stringify(noteRef.current) !== JSON.stringify(savedNoteRef.current);
+    if (id && (note.title || note.content) && hasUnsavedEdits && !saving && !error && !tamperWarning && !hasConflict && !trashedAt) {
       autoSaveTimerRef.current = setTimeout(() => {
         console.log('Auto-saving note...');
         handleSave();
@@ -217,7 +354,7 @@ function NoteEditor({ user, isOffline }) {
         clearTimeout(autoSaveTimerRef.current);
       }
     };
-  }, [note.title, note.content, id, saving, error]); // Don't include handleSave to avoid infinite loops
+  }, [note.title, note.content, note.checklist, id, saving, error, tamperWarning, hasConflict, trashedAt]); // Don't include handleSave to avoid infinite loops
 
   if (loading) {
     return (
@@ -238,12 +375,17 @@ function NoteEditor({ user, isOffline }) {
               ✅ Saved {lastSaved.toLocaleTimeString()}
             </span>
           )}
+          {id && (
+            <button onClick={() => setShowHistory(open => !open)} className="cancel-btn">
+              🕘 History
+            </button>
+          )}
           <button onClick={handleCancel} className="cancel-btn">
             Cancel
           </button>
           <button 
             onClick={handleSave} 
-            disabled={saving}
+            disabled={saving || !!tamperWarning || hasConflict || !!trashedAt}
             className="save-btn"
           >
             {saving ? 'Saving...' : (id ? 'Update' : 'Save')}
@@ -253,6 +395,37 @@ function NoteEditor({ user, isOffline }) {
 
       {error && <div className="error-message">{error}</div>}
 
+      {tamperWarning && <div className="tamper-warning">{tamperWarning}</div>}
+
+      {remoteNotice && <div className="tamper-warning">⚠️ {remoteNotice}</div>}
+
+      {hasConflict && (
+        <div className="tamper-warning">
+          ⚠️ This note was changed on another device while you were editing.
+          Your version has been kept - <Link to={`/notes/${id}/conflict`}>compare and resolve</Link>.
+        </div>
+      )}
+
+      {historyNotice && <div className="history-notice">{historyNotice}</div>}
+
+      {showHistory && (
+        <NoteHistory
+          user={user}
+          noteId={id}
+          isOffline={isOffline}
+          current={note}
+          onRestore={handleRestoreRevision}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {trashedAt && (
+        <div className="tamper-warning">
+          🗑️ This note is in the trash. Restore it to make changes.
+          <button onClick={handleRestore} className="restore-btn trash-notice-btn">↩ Restore</button>
+        </div>
+      )}
+
       {isOffline && (
         <div className="offline-notice">
           📵 Offline mode - Note will sync when reconnected
@@ -294,12 +467,43 @@ function NoteEditor({ user, isOffline }) {
           </div>
         </div>
 
-        <textarea
-          placeholder="Start typing your encrypted note..."
-          value={note.content}
-          onChange={(e) => setNote({ ...note, content: e.target.value })}
-          className="content-textarea"
-        />
+        <div className="editor-mode-toggle" role="tablist">
+          {!note.checklist && EDITOR_MODES.map(mode => (
+            <button
+              key={mode}
+              role="tab"
+              aria-selected={editorMode === mode}
+              onClick={() => handleEditorModeChange(mode)}
+              className={editorMode === mode ? 'active' : ''}
+            >
+              {EDITOR_MODE_LABELS[mode]}
+            </button>
+          ))}
+          <button onClick={handleToggleChecklist} disabled={!!trashedAt} className="checklist-toggle">
+            {note.checklist ? '📝 Plain note' : '☑ Checklist'}
+          </button>
+          {!note.checklist && <span className="editor-mode-hint">Markdown supported</span>}
+        </div>
+
+        {note.checklist ? (
+          <ChecklistEditor
+            checklist={note.checklist}
+            onChange={handleChecklistChange}
+            disabled={!!trashedAt || !!tamperWarning}
+          />
+        ) : (
+          <div className={`editor-panes ${editorMode}`}>
+            {editorMode !== 'preview' && (
+              <textarea
+                placeholder="Start typing your encrypted note... (Markdown supported)"
+                value={note.content}
+                onChange={(e) => setNote({ ...note, content: e.target.value })}
+                className="content-textarea"
+              />
+            )}
+            {editorMode !== 'edit' && <MarkdownPreview content={note.content} />}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,154 @@
+// src/components/Notes/NoteHistory.js
+import React, { useState, useEffect, useMemo } from 'react';
+import encryptionService from '../../services/encryption';
+import { loadNoteHistory } from '../../services/noteHistory';
+import { diffLines } from '../../utils/diff';
+import './Notes.css';
+
+const CURRENT = 'current';
+
+// Decrypt a history entry like the note revision it was saved from
+const decryptEntry = async (entry, userId) => {
+  try {
+    const decrypted = await encryptionService.decryptNote({ ...entry, id: entry.noteId, userId });
+    return {
+      ...entry,
+      title: decrypted.title,
+      content: decrypted.content,
+      tags: decrypted.tags,
+      checklist: decrypted.checklist
+    };
+  } catch (error) {
+    console.error(`Failed to decrypt revision ${entry.id}:`, error);
+    return { ...entry, title: '', content: '', tags: [], checklist: null, unreadable: true };
+  }
+};
+
+const describeVersion = (version) => {
+  if (version.id === CURRENT) return 'Current version';
+  const label = `Revision ${version.revision} · ${new Date(version.savedAt).toLocaleString()}`;
+  return version.unreadable ? `${label} (unreadable)` : label;
+};
+
+// Saved revisions of a note: compare any two (or one with the editor's
+// current text) and restore one into the editor
+function NoteHistory({ user, noteId, isOffline, current, onRestore, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(CURRENT);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const history = await loadNoteHistory(user.uid, noteId, isOffline);
+        const decrypted = await Promise.all(history.map(entry => decryptEntry(entry, user.uid)));
+        if (cancelled) return;
+
+        const newestFirst = decrypted.reverse();
+        setEntries(newestFirst);
+        if (newestFirst.length > 0) setFromId(newestFirst[0].id);
+      } catch (loadError) {
+        console.error('Error loading note history:', loadError);
+        if (!cancelled) setError('Failed to load the history of this note.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [user.uid, noteId, isOffline]);
+
+  const versions = useMemo(() => [{ id: CURRENT, ...current }, ...entries], [current, entries]);
+  const from = versions.find(version => version.id === fromId);
+  const to = versions.find(version => version.id === toId);
+
+  const hunks = useMemo(
+    () => (from && to ? diffLines(from.content, to.content) : []),
+    [from, to]
+  );
+  const unchanged = hunks.every(hunk => hunk.type === 'same') && from && to && from.title === to.title;
+
+  const renderOptions = () => versions.map(version => (
+    <option key={version.id} value={version.id}>{describeVersion(version)}</option>
+  ));
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3>🕘 History</h3>
+        <button onClick={onClose} className="cancel-btn">Close</button>
+      </div>
+
+      {loading && <p className="history-empty">Loading revisions...</p>}
+      {error && <div className="error-message">{error}</div>}
+
+      {!loading && !error && entries.length === 0 && (
+        <p className="history-empty">No saved revisions yet - one is kept each time you save.</p>
+      )}
+
+      {!loading && entries.length > 0 && from && to && (
+        <>
+          <div className="history-compare">
+            <label>
+              Compare
+              <select value={fromId} onChange={(e) => setFromId(e.target.value)} className="form-input">
+                {renderOptions()}
+              </select>
+            </label>
+            <label>
+              with
+              <select value={toId} onChange={(e) => setToId(e.target.value)} className="form-input">
+                {renderOptions()}
+              </select>
+            </label>
+          </div>
+
+          {from.title !== to.title && (
+            <p className="history-title-change">
+              Title: <del>{from.title || 'Untitled Note'}</del> → <ins>{to.title || 'Untitled Note'}</ins>
+            </p>
+          )}
+
+          {unchanged ? (
+            <p className="history-empty">These versions are the same.</p>
+          ) : (
+            <div className="history-diff">
+              {hunks.map((hunk, index) => (hunk.type === 'same'
+                ? hunk.lines.map((line, lineIndex) => (
+                  <div key={`${index}-${lineIndex}`} className="diff-line diff-same">{line || ' '}</div>
+                ))
+                : [
+                  ...hunk.mine.map((line, lineIndex) => (
+                    <div key={`${index}-m${lineIndex}`} className="diff-line diff-removed">- {line}</div>
+                  )),
+                  ...hunk.theirs.map((line, lineIndex) => (
+                    <div key={`${index}-t${lineIndex}`} className="diff-line diff-added">+ {line}</div>
+                  ))
+                ]
+              ))}
+            </div>
+          )}
+
+          <div className="history-actions">
+            <button
+              onClick={() => onRestore(from)}
+              disabled={from.id === CURRENT || from.unreadable}
+              className="save-btn"
+            >
+              Restore {from.id === CURRENT ? 'this version' : `revision ${from.revision}`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NoteHistory;
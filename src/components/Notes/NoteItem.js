@@ -1,7 +1,9 @@
-import React from 'react';
+import React, { useMemo } from 'react';
+import { stripMarkdown } from '../../utils/markdown';
+import { getProgress } from '../../utils/checklist';
 import './Notes.css';
 
-function NoteItem({ note, onDelete, onClick }) {
+function NoteItem({ note, onDelete, onClick, onResolveConflict }) {
   const formatDate = (dateString) => {
     if (!dateString) return '';
     const date = new Date(dateString);
@@ -22,6 +24,15 @@ function NoteItem({ note, onDelete, onClick }) {
     onDelete(note.id);
   };
 
+  const handleResolveConflict = (e) => {
+    e.stopPropagation();
+    onResolveConflict(note.id);
+  };
+
+  // The note's text without Markdown syntax
+  const preview = useMemo(() => stripMarkdown(note.content), [note.content]);
+  const progress = Array.isArray(note.checklist?.items) ? getProgress(note.checklist.items) : null;
+
   const truncateContent = (content, maxLength = 100) => {
     if (!content) return '';
     if (content.length <= maxLength) return content;
@@ -30,7 +41,7 @@ function NoteItem({ note, onDelete, onClick }) {
 
   return (
     <div 
-      className={`note-card ${note.decryptionError ? 'decryption-error' : ''}`}
+      className={`note-card ${note.decryptionError ? 'decryption-error' : ''} ${note.tampered ? 'tampered' : ''}`}
       onClick={onClick}
     >
       <div className="note-card-header">
@@ -40,14 +51,39 @@ function NoteItem({ note, onDelete, onClick }) {
         <button 
           className="delete-note-btn"
           onClick={handleDelete}
-          title="Delete note"
+          title="Move to trash"
         >
           🗑️
         </button>
       </div>
       
+      {note.tampered && (
+        <div className="tamper-badge" title="This note's ciphertext doesn't match its id, owner or revision">
+          ⚠️ May have been tampered with
+        </div>
+      )}
+
+      {note.hasConflict && (
+        <button
+          className="conflict-badge"
+          onClick={handleResolveConflict}
+          title="This note was also changed on another device"
+        >
+          ⚠️ Conflicting edits - resolve
+        </button>
+      )}
+
+      {progress && (
+        <div className="checklist-badge" title="Checklist progress">
+          <span>☑ {progress.done} of {progress.total} done</span>
+          <div className="checklist-badge-bar">
+            <div style={{ width: progress.total ? `${(progress.done / progress.total) * 100}%` : 0 }} />
+          </div>
+        </div>
+      )}
+
       <p className="note-content-preview">
-        {truncateContent(note.content) || 'No content'}
+        {truncateContent(preview) || 'No content'}
       </p>
       
       {note.tags && note.tags.length > 0 && (
@@ -65,6 +101,9 @@ function NoteItem({ note, onDelete, onClick }) {
         {note.syncStatus === 'pending' && (
           <span className="sync-pending">⏳ Pending sync</span>
         )}
+        {note.syncStatus === 'failed' && (
+          <span className="sync-failed">⚠ Sync failed</span>
+        )}
       </div>
     </div>
   );
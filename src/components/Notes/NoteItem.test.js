@@ -0,0 +1,18 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import NoteItem from './NoteItem';
+
+const toHtml = (note) => renderToStaticMarkup(<NoteItem note={note} onDelete={() => {}} onClick={() => {}} />);
+
+describe('NoteItem', () => {
+  test('shows the progress of a checklist note', () => {
+    const checklist = { items: [{ id: 'a', text: 'one', checked: true, depth: 0 }, { id: 'b', text: 'two', checked: false, depth: 0 }] };
+    expect(toHtml({ id: 'n1', title: 'List', content: '', checklist })).toContain('☑ 1 of 2 done');
+  });
+
+  test('renders a note whose checklist is still ciphertext', () => {
+    const note = { id: 'n1', title: '[Unable to Decrypt]', content: '', checklist: 'v2.aes-256-gcm.abc', decryptionError: true };
+    expect(toHtml(note)).toContain('[Unable to Decrypt]');
+    expect(toHtml(note)).not.toContain('checklist-badge');
+  });
+});
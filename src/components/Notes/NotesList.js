@@ -1,18 +1,60 @@
 // src/components/Notes/NotesList.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { getNotes, deleteNote as deleteFirebaseNote } from '../../services/firebase';
 import encryptionService from '../../services/encryption';
 import notesDB from '../../services/indexedDB';
+import { pullRemoteChanges } from '../../services/syncEngine';
+import { broadcastNotesChanged } from '../../services/tabSync';
+import { trashNote, restoreNote } from '../../services/trash';
+import { UNDO_TIMEOUT } from '../../utils/constants';
 import NoteItem from './NoteItem';
 import './Notes.css';
 
-function NotesList({ user, isOffline }) {
+// Decrypt cached notes for display, flagging the ones with an open conflict
+const decryptNotes = async (encryptedNotes, userId) => {
+  const conflictIds = new Set(await notesDB.getConflictIds(userId));
+
+  return Promise.all(encryptedNotes.map(async note => {
+    const hasConflict = conflictIds.has(note.id);
+    if (note.encrypted) {
+      try {
+        const decrypted = await encryptionService.decryptNote(note);
+        return { ...decrypted, hasConflict };
+      } catch (err) {
+        console.error('Failed to decrypt note:', err);
+        if (encryptionService.isTamperError(err)) {
+          return {
+            ...note,
+            title: '[Integrity Check Failed]',
+            content: err.message,
+            tags: [],
+            checklist: null,
+            tampered: true
+          };
+        }
+        return {
+          ...note,
+          title: '[Unable to Decrypt]',
+          content: 'Check your encryption password',
+          tags: [],
+          checklist: null,
+          decryptionError: true
+        };
+      }
+    }
+    return { ...note, hasConflict };
+  }));
+};
+
+function NotesList({ user, isOffline, notesChange }) {
   const navigate = useNavigate();
   const [notes, setNotes] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [error, setError] = useState('');
+  // The note just moved to the trash, while its undo toast shows
+  const [undoNote, setUndoNote] = useState(null);
+  const undoTimerRef = useRef(null);
 
   // Memoize loadNotes to prevent infinite re-renders
   const loadNotes = useCallback(async () => {
@@ -21,49 +63,27 @@ function NotesList({ user, isOffline }) {
       return;
     }
     
-    setLoading(true);
     setError('');
     
     try {
+      // Render straight from IndexedDB first - the spinner only shows until
+      // there is something to render
       console.log('Loading notes for user:', user.uid);
-      let encryptedNotes = [];
-      
-      if (isOffline) {
-        // Load from IndexedDB when offline
-        console.log('Loading from IndexedDB (offline)');
-        encryptedNotes = await notesDB.getLocalNotes(user.uid);
-      } else {
-        // Load from Firebase when online
-        console.log('Loading from Firebase (online)');
-        encryptedNotes = await getNotes(user.uid);
-        console.log('Loaded notes:', encryptedNotes.length);
-        
-        // Cache notes locally for offline access
-        for (const note of encryptedNotes) {
-          await notesDB.saveNoteLocally(note);
-        }
+      const cachedNotes = await notesDB.getActiveNotes(user.uid);
+      if (cachedNotes.length > 0 || isOffline) {
+        setNotes(await decryptNotes(cachedNotes, user.uid));
+        setLoading(false);
       }
 
-      // Decrypt notes for display
-      const decryptedNotes = encryptedNotes.map(note => {
-        if (note.encrypted) {
-          try {
-            return encryptionService.decryptNote(note);
-          } catch (err) {
-            console.error('Failed to decrypt note:', err);
-            return {
-              ...note,
-              title: '[Unable to Decrypt]',
-              content: 'Check your encryption password',
-              decryptionError: true
-            };
-          }
-        }
-        return note;
-      });
+      if (!isOffline) {
+        // Then fetch only what changed on the server since the last pull
+        const changed = await pullRemoteChanges(user.uid);
+        console.log('Notes changed on the server:', changed);
 
-      console.log('Setting notes:', decryptedNotes.length);
-      setNotes(decryptedNotes);
+        if (changed > 0 || cachedNotes.length === 0) {
+          setNotes(await decryptNotes(await notesDB.getActiveNotes(user.uid), user.uid));
+        }
+      }
     } catch (error) {
       console.error('Error loading notes:', error);
       setError(error.message || 'Failed to load notes. Please try again.');
@@ -78,27 +98,52 @@ function NotesList({ user, isOffline }) {
     }
   }, [user, isOffline, loadNotes]); // Include memoized loadNotes
 
-  const handleDelete = async (noteId) => {
-    if (!window.confirm('Are you sure you want to delete this note?')) return;
+  // Re-render from the cache after a sync, another tab or another device
+  // changed it (offline notes may also have new ids)
+  useEffect(() => {
+    if (!user || !notesChange) return;
+
+    notesDB.getActiveNotes(user.uid)
+      .then(cachedNotes => decryptNotes(cachedNotes, user.uid))
+      .then(setNotes)
+      .catch(error => console.error('Error reloading notes:', error));
+  }, [user, notesChange]);
 
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  // Deleting moves the note to the trash; it can be undone for a few seconds
+  // here, or restored from the trash later
+  const handleDelete = async (noteId) => {
     try {
-      if (isOffline) {
-        // Delete locally when offline
-        await notesDB.deleteNoteLocally(noteId);
-      } else {
-        // Delete from Firebase
-        await deleteFirebaseNote(user.uid, noteId);
-        await notesDB.deleteNoteLocally(noteId);
-      }
-      
-      // Update local state
+      await trashNote(user.uid, noteId, isOffline);
+
       setNotes(notes.filter(note => note.id !== noteId));
+      broadcastNotesChanged(user.uid, [noteId]);
+
+      clearTimeout(undoTimerRef.current);
+      setUndoNote(notes.find(note => note.id === noteId));
+      undoTimerRef.current = setTimeout(() => setUndoNote(null), UNDO_TIMEOUT);
     } catch (error) {
       console.error('Error deleting note:', error);
       setError('Failed to delete note. Please try again.');
     }
   };
 
+  const handleUndo = async () => {
+    const note = undoNote;
+    clearTimeout(undoTimerRef.current);
+    setUndoNote(null);
+
+    try {
+      await restoreNote(user.uid, note.id, isOffline);
+      setNotes(await decryptNotes(await notesDB.getActiveNotes(user.uid), user.uid));
+      broadcastNotesChanged(user.uid, [note.id]);
+    } catch (error) {
+      console.error('Error restoring note:', error);
+      setError('Failed to restore note. You can still restore it from the trash.');
+    }
+  };
+
   const filteredNotes = notes.filter(note =>
     note.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
     note.content?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -119,9 +164,17 @@ function NotesList({ user, isOffline }) {
     <div className="notes-container">
       <div className="notes-header">
         <h1>📝 My Notes</h1>
-        <Link to="/notes/new" className="new-note-btn">
-          + New Note
-        </Link>
+        <div className="notes-header-actions">
+          <Link to="/trash" className="trash-link">
+            🗑️ Trash
+          </Link>
+          <Link to="/notes/new?type=checklist" className="trash-link">
+            ☑ New Checklist
+          </Link>
+          <Link to="/notes/new" className="new-note-btn">
+            + New Note
+          </Link>
+        </div>
       </div>
 
       {error && <div className="error-message">{error}</div>}
@@ -153,10 +206,18 @@ function NotesList({ user, isOffline }) {
               note={note}
               onClick={() => navigate(`/notes/${note.id}`)}
               onDelete={handleDelete}
+              onResolveConflict={(noteId) => navigate(`/notes/${noteId}/conflict`)}
             />
           ))}
         </div>
       )}
+
+      {undoNote && (
+        <div className="undo-toast" role="status">
+          Moved "{undoNote.title || 'Untitled Note'}" to the trash.
+          <button onClick={handleUndo}>Undo</button>
+        </div>
+      )}
     </div>
   );
 }
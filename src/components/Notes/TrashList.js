@@ -0,0 +1,176 @@
+// src/components/Notes/TrashList.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import encryptionService from '../../services/encryption';
+import notesDB from '../../services/indexedDB';
+import { restoreNote, deleteNoteForever, getPurgeDate } from '../../services/trash';
+import { broadcastNotesChanged } from '../../services/tabSync';
+import { stripMarkdown } from '../../utils/markdown';
+import './Notes.css';
+
+// Title and a preview of a trashed note, without failing the whole list
+const decryptTrashedNote = async (note) => {
+  if (!note.encrypted) return note;
+
+  try {
+    return await encryptionService.decryptNote(note);
+  } catch (error) {
+    console.error('Failed to decrypt note:', error);
+    return {
+      ...note,
+      title: '[Unable to Decrypt]',
+      content: '',
+      tags: [],
+      checklist: null,
+      decryptionError: true
+    };
+  }
+};
+
+const previewContent = (content, maxLength = 100) => {
+  const text = stripMarkdown(content);
+  if (!text) return 'No content';
+  return text.length <= maxLength ? text : text.substr(0, maxLength) + '...';
+};
+
+function TrashList({ user, isOffline, notesChange, trashRetentionDays }) {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const trashed = await notesDB.getTrashedNotes(user.uid);
+      setNotes(await Promise.all(trashed.map(decryptTrashedNote)));
+    } catch (loadError) {
+      console.error('Error loading trash:', loadError);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [user.uid]);
+
+  // Reload after a sync, another tab or another device changed the notes
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash, notesChange]);
+
+  const runAction = async (noteIds, action, failureMessage) => {
+    setError('');
+    setBusyId(noteIds.length === 1 ? noteIds[0] : 'all');
+    try {
+      for (const noteId of noteIds) {
+        await action(user.uid, noteId, isOffline);
+      }
+      setNotes(prev => prev.filter(note => !noteIds.includes(note.id)));
+      broadcastNotesChanged(user.uid, noteIds);
+    } catch (actionError) {
+      console.error(failureMessage, actionError);
+      setError(failureMessage);
+      await loadTrash();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = (noteId) => runAction([noteId], restoreNote, 'Failed to restore the note. Please try again.');
+
+  const handleDeleteForever = (noteId) => {
+    if (!window.confirm('Delete this note forever? This cannot be undone.')) return;
+    runAction([noteId], deleteNoteForever, 'Failed to delete the note. Please try again.');
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm(`Delete all ${notes.length} notes in the trash forever? This cannot be undone.`)) return;
+    runAction(notes.map(note => note.id), deleteNoteForever, 'Failed to empty the trash. Please try again.');
+  };
+
+  const describePurge = (note) => {
+    const purgeDate = getPurgeDate(note, trashRetentionDays);
+    return purgeDate ? `Deleted for good on ${purgeDate.toLocaleDateString()}` : 'Kept until you delete it';
+  };
+
+  if (loading) {
+    return (
+      <div className="notes-container">
+        <div className="loading-container">
+          <div className="loader"></div>
+          <p>Loading trash...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="notes-container">
+      <div className="notes-header">
+        <h1>🗑️ Trash</h1>
+        <div className="notes-header-actions">
+          <Link to="/notes" className="trash-link">← Back to notes</Link>
+          {notes.length > 0 && (
+            <button onClick={handleEmptyTrash} className="empty-trash-btn" disabled={busyId !== null}>
+              Empty trash
+            </button>
+          )}
+        </div>
+      </div>
+
+      <p className="trash-description">
+        {trashRetentionDays
+          ? `Notes in the trash are deleted for good after ${trashRetentionDays} days. `
+          : 'Notes stay in the trash until you delete them. '}
+        <Link to="/settings">Change this in settings</Link>
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {notes.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🗑️</div>
+          <h2>The trash is empty</h2>
+          <p>Deleted notes show up here until they are deleted for good.</p>
+        </div>
+      ) : (
+        <div className="notes-grid">
+          {notes.map(note => (
+            <div
+              key={note.id}
+              className={`note-card trashed ${note.decryptionError ? 'decryption-error' : ''}`}
+            >
+              <div className="note-card-header">
+                <h3 className="note-title">{note.title || 'Untitled Note'}</h3>
+              </div>
+
+              <p className="note-content-preview">{previewContent(note.content)}</p>
+
+              <div className="note-meta">
+                <span>Deleted {new Date(note.trashedAt).toLocaleDateString()}</span>
+                <span>{describePurge(note)}</span>
+              </div>
+
+              <div className="trash-actions">
+                <button
+                  onClick={() => handleRestore(note.id)}
+                  className="restore-btn"
+                  disabled={busyId !== null}
+                >
+                  ↩ Restore
+                </button>
+                <button
+                  onClick={() => handleDeleteForever(note.id)}
+                  className="delete-forever-btn"
+                  disabled={busyId !== null}
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrashList;
@@ -0,0 +1,334 @@
+// src/components/Settings/Settings.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  changeEncryptionPassword,
+  changeKeyDerivation,
+  getKeyDerivation,
+  regenerateRecoveryPhrase
+} from '../../services/keyManager';
+import RecoveryPhrase from '../Auth/RecoveryPhrase';
+import { AUTO_LOCK_OPTIONS, TRASH_RETENTION_OPTIONS } from '../../utils/constants';
+import '../Auth/Auth.css';
+import './Settings.css';
+
+function Settings({ user, isOffline, autoLockMinutes, onAutoLockChange, trashRetentionDays, onTrashRetentionChange }) {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [changing, setChanging] = useState(false);
+  const [recoveryPassword, setRecoveryPassword] = useState('');
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [recoveryError, setRecoveryError] = useState('');
+  const [generating, setGenerating] = useState(false);
+  const [kdf, setKdf] = useState(null);
+  const [kdfAlgorithm, setKdfAlgorithm] = useState('PBKDF2');
+  const [kdfPassword, setKdfPassword] = useState('');
+  const [kdfMessage, setKdfMessage] = useState('');
+  const [kdfError, setKdfError] = useState('');
+  const [updatingKdf, setUpdatingKdf] = useState(false);
+
+  useEffect(() => {
+    getKeyDerivation(user.uid)
+      .then((params) => {
+        setKdf(params);
+        setKdfAlgorithm(params.algorithm);
+      })
+      .catch((error) => console.error('Error loading key derivation settings:', error));
+  }, [user.uid]);
+
+  const describeKdf = (params) => {
+    if (!params) return '';
+    if (params.algorithm === 'scrypt') {
+      return `scrypt (N=${params.N}, r=${params.r}, p=${params.p})`;
+    }
+    return `PBKDF2-${params.hash} (${params.iterations.toLocaleString()} iterations)`;
+  };
+
+  const describeAutoLock = (minutes) => {
+    if (!minutes) return 'Never';
+    return minutes === 1 ? 'After 1 minute' : `After ${minutes} minutes`;
+  };
+
+  const describeTrashRetention = (days) => {
+    if (!days) return 'Never - keep notes until I delete them';
+    return `After ${days} days`;
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    if (formData.newPassword.length < 8) {
+      setError('Encryption password must be at least 8 characters');
+      return;
+    }
+
+    setChanging(true);
+
+    try {
+      await changeEncryptionPassword(
+        user.uid,
+        formData.currentPassword,
+        formData.newPassword
+      );
+
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setSuccess('Encryption password changed.');
+    } catch (error) {
+      console.error('Error changing encryption password:', error);
+      setError(error.message || 'Failed to change encryption password.');
+    } finally {
+      setChanging(false);
+    }
+  };
+
+  const handleGenerateRecoveryPhrase = async (e) => {
+    e.preventDefault();
+    setRecoveryError('');
+    setRecoveryPhrase('');
+    setGenerating(true);
+
+    try {
+      const phrase = await regenerateRecoveryPhrase(user.uid, recoveryPassword);
+      setRecoveryPassword('');
+      setRecoveryPhrase(phrase);
+    } catch (error) {
+      console.error('Error creating recovery phrase:', error);
+      setRecoveryError(error.message || 'Failed to create recovery phrase.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleChangeKdf = async (e) => {
+    e.preventDefault();
+    setKdfError('');
+    setKdfMessage('');
+    setUpdatingKdf(true);
+
+    try {
+      const params = await changeKeyDerivation(user.uid, kdfPassword, kdfAlgorithm);
+      setKdf(params);
+      setKdfPassword('');
+      setKdfMessage('Key derivation updated.');
+    } catch (error) {
+      console.error('Error changing key derivation:', error);
+      setKdfError(error.message || 'Failed to change key derivation.');
+    } finally {
+      setUpdatingKdf(false);
+    }
+  };
+
+  return (
+    <div className="settings-container">
+      <div className="settings-header">
+        <h1>⚙️ Settings</h1>
+        <Link to="/notes" className="back-link">← Back to notes</Link>
+      </div>
+
+      <section className="settings-section">
+        <h2>🔒 Auto-lock</h2>
+        <p className="settings-description">
+          Lock your notes after a period of inactivity. Unlocking only asks for your
+          encryption password, and works offline.
+        </p>
+
+        <div className="form-group">
+          <select
+            value={autoLockMinutes}
+            onChange={(e) => onAutoLockChange(Number(e.target.value))}
+            className="form-input settings-select"
+          >
+            {AUTO_LOCK_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{describeAutoLock(minutes)}</option>
+            ))}
+          </select>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h2>🗑️ Trash</h2>
+        <p className="settings-description">
+          Deleted notes go to the trash first, where they can be restored. Choose when
+          notes in the trash are deleted for good.
+        </p>
+
+        <div className="form-group">
+          <select
+            value={trashRetentionDays}
+            onChange={(e) => onTrashRetentionChange(Number(e.target.value))}
+            className="form-input settings-select"
+          >
+            {TRASH_RETENTION_OPTIONS.map(days => (
+              <option key={days} value={days}>{describeTrashRetention(days)}</option>
+            ))}
+          </select>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h2>🔑 Change encryption password</h2>
+        <p className="settings-description">
+          Your notes are encrypted with a random key that is locked by your encryption
+          password. Changing the password only re-locks that key - your notes stay as they are.
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+
+        <form onSubmit={handleChangePassword}>
+          <div className="form-group">
+            <input
+              type="password"
+              name="currentPassword"
+              placeholder="Current encryption password"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              required
+              className="form-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <input
+              type="password"
+              name="newPassword"
+              placeholder="New encryption password (min 8 characters)"
+              value={formData.newPassword}
+              onChange={handleChange}
+              required
+              minLength="8"
+              className="form-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <input
+              type="password"
+              name="confirmPassword"
+              placeholder="Confirm new encryption password"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              className="form-input"
+            />
+          </div>
+
+          <button type="submit" disabled={changing || isOffline} className="submit-btn">
+            {changing ? 'Changing...' : 'Change Encryption Password'}
+          </button>
+
+          {isOffline && (
+            <p className="settings-description">
+              You need to be online to change your encryption password
+            </p>
+          )}
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h2>🧮 Key derivation</h2>
+        <p className="settings-description">
+          How your encryption password is turned into a key. scrypt is memory-hard,
+          which makes guessing attacks on GPUs much more expensive, but unlocking is slower.
+        </p>
+
+        {kdf && (
+          <p className="settings-description">
+            Current: <strong>{describeKdf(kdf)}</strong>
+          </p>
+        )}
+
+        {kdfError && <div className="error-message">{kdfError}</div>}
+        {kdfMessage && <div className="success-message">{kdfMessage}</div>}
+
+        <form onSubmit={handleChangeKdf}>
+          <div className="form-group">
+            <select
+              value={kdfAlgorithm}
+              onChange={(e) => setKdfAlgorithm(e.target.value)}
+              className="form-input settings-select"
+            >
+              <option value="PBKDF2">PBKDF2-SHA-256 (default)</option>
+              <option value="scrypt">scrypt (memory-hard)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <input
+              type="password"
+              placeholder="Current encryption password"
+              value={kdfPassword}
+              onChange={(e) => setKdfPassword(e.target.value)}
+              required
+              className="form-input"
+            />
+          </div>
+
+          <button type="submit" disabled={updatingKdf || isOffline} className="submit-btn">
+            {updatingKdf ? 'Updating...' : 'Update Key Derivation'}
+          </button>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h2>📜 Recovery phrase</h2>
+        <p className="settings-description">
+          A recovery phrase restores access to your notes if you forget your encryption
+          password. Creating a new phrase replaces the old one.
+        </p>
+
+        {recoveryError && <div className="error-message">{recoveryError}</div>}
+
+        {recoveryPhrase ? (
+          <>
+            <p className="settings-description">
+              Write these words down or print them. They will not be shown again.
+            </p>
+            <RecoveryPhrase phrase={recoveryPhrase} />
+            <button onClick={() => setRecoveryPhrase('')} className="submit-btn">
+              I have saved it
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleGenerateRecoveryPhrase}>
+            <div className="form-group">
+              <input
+                type="password"
+                placeholder="Current encryption password"
+                value={recoveryPassword}
+                onChange={(e) => setRecoveryPassword(e.target.value)}
+                required
+                className="form-input"
+              />
+            </div>
+
+            <button type="submit" disabled={generating || isOffline} className="submit-btn">
+              {generating ? 'Creating...' : 'Create New Recovery Phrase'}
+            </button>
+          </form>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default Settings;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { onAuthChange } from '../services/firebase';
+import { onAuthChange } from '../services/backend';
 
 export function useAuth() {
   const [user, setUser] = useState(null);
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+const IDLE_CHECK_INTERVAL = 15000;
+
+// Call onLock after the given number of idle minutes (0 disables it).
+// Elapsed time is checked on an interval rather than with one long timer,
+// so a sleeping laptop or throttled background tab still locks on return.
+export function useIdleLock(enabled, minutes, onLock) {
+  const lastActivity = useRef(Date.now());
+  const onLockRef = useRef(onLock);
+  onLockRef.current = onLock;
+
+  useEffect(() => {
+    if (!enabled || !minutes) return undefined;
+
+    const timeout = minutes * 60 * 1000;
+    lastActivity.current = Date.now();
+
+    const checkIdle = () => {
+      if (Date.now() - lastActivity.current >= timeout) {
+        onLockRef.current();
+      }
+    };
+
+    const handleActivity = () => {
+      lastActivity.current = Date.now();
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        checkIdle();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const interval = setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      clearInterval(interval);
+    };
+  }, [enabled, minutes]);
+}
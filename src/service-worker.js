@@ -0,0 +1,60 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built into service-worker.js by react-scripts (Workbox InjectManifest).
+// Precaches the build, serves the app shell for every navigation so the app
+// loads without network, and wakes open pages to flush the note queue when
+// connectivity returns.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { NOTES_SYNC_TAG } from './utils/constants';
+
+clientsClaim();
+
+// The build's assets, injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: navigations get index.html, except for URLs that look like
+// files or Firebase's reserved /__/ paths
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same-origin images outside the build (e.g. manifest icons)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Note writes are queued in IndexedDB by the page, which holds the key the
+// worker doesn't have. On the background-sync event the worker can only ask
+// the open pages to replay that queue: with no tab open nothing is sent, and
+// the next visit flushes it.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== NOTES_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: 'FLUSH_NOTES_QUEUE' }));
+    })
+  );
+});
+
+// Only take over when the user applies the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
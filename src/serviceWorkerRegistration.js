@@ -0,0 +1,168 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker built from src/service-worker.js (production
+// builds only). A new version waits until the user chooses to reload, and the
+// page can ask the worker to flush the note queue once connectivity returns.
+import { NOTES_SYNC_TAG } from './utils/constants';
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const updateListeners = new Set();
+const flushListeners = new Set();
+let waitingRegistration = null;
+
+const notifyUpdateReady = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach(listener => listener(registration));
+};
+
+function registerValidSW(swUrl) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      // A version that finished installing on an earlier visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notifyUpdateReady(registration);
+      }
+
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (installingWorker == null) {
+          return;
+        }
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state === 'installed') {
+            if (navigator.serviceWorker.controller) {
+              // The new worker waits until every tab of the old one is closed,
+              // or until the user applies the update
+              console.log('New content is available and will be used after a reload.');
+              notifyUpdateReady(registration);
+            } else {
+              console.log('Content is cached for offline use.');
+            }
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error('Error during service worker registration:', error);
+    });
+}
+
+function checkValidServiceWorker(swUrl) {
+  // Check if the service worker can be found. If it can't reload the page.
+  fetch(swUrl, {
+    headers: { 'Service-Worker': 'script' },
+  })
+    .then((response) => {
+      // Ensure service worker exists, and that we really are getting a JS file.
+      const contentType = response.headers.get('content-type');
+      if (
+        response.status === 404 ||
+        (contentType != null && contentType.indexOf('javascript') === -1)
+      ) {
+        // No service worker found. Probably a different app. Reload the page.
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        // Service worker found. Proceed as normal.
+        registerValidSW(swUrl);
+      }
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+    });
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The URL constructor is available in all browsers that support SW.
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    // Our service worker won't work if PUBLIC_URL is on a different origin
+    // from what our page is served on. This might happen if a CDN is used to
+    // serve assets; see https://github.com/facebook/create-react-app/issues/2374
+    return;
+  }
+
+  // The worker asks open pages to replay the note queue (see service-worker.js)
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'FLUSH_NOTES_QUEUE') {
+      flushListeners.forEach(listener => listener());
+    }
+  });
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    if (isLocalhost) {
+      // This is running on localhost. Let's check if a service worker still exists or not.
+      checkValidServiceWorker(swUrl);
+    } else {
+      // Is not localhost. Just register service worker
+      registerValidSW(swUrl);
+    }
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => {
+        registration.unregister();
+      })
+      .catch((error) => {
+        console.error(error.message);
+      });
+  }
+}
+
+// Called with the registration once a new version is waiting to take over
+export const onUpdateReady = (listener) => {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => updateListeners.delete(listener);
+};
+
+// Activate the waiting version, then reload every tab into it
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Ask the browser to wake the worker when connectivity returns, so queued
+// note writes are flushed even if this page missed the online event. Only
+// open tabs can flush (see service-worker.js).
+export const requestBackgroundSync = async () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(NOTES_SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Background sync is not available:', error);
+  }
+};
+
+// Called when the worker asks the page to replay the note queue
+export const onFlushRequest = (listener) => {
+  flushListeners.add(listener);
+  return () => flushListeners.delete(listener);
+};
@@ -0,0 +1,96 @@
+// src/services/backend.js
+// The NotesBackend the app talks to: auth, notes CRUD, user (encryption)
+// metadata and note subscriptions. Every adapter in services/backends/
+// implements BACKEND_METHODS with the Firebase adapter's contract: note
+// timestamps as ISO strings, deletes leave tombstones, and errors carry a
+// Firebase-style .code ('not-found', 'revision-conflict', 'auth/...').
+//
+// REACT_APP_NOTES_BACKEND picks the adapter:
+//   firebase (default) - the live Firebase project from the REACT_APP_FIREBASE_* settings
+//   emulator           - the Firebase emulator suite (see firebase.json)
+//   memory             - in memory, for tests and demos
+//   server             - the self-hosted sync server in server/ (REACT_APP_SYNC_SERVER_URL)
+import { createFirebaseBackend } from './backends/firebaseBackend';
+import { createEmulatorBackend } from './backends/emulatorBackend';
+import { createMemoryBackend } from './backends/memoryBackend';
+import { createServerBackend } from './backends/serverBackend';
+
+export const BACKEND_METHODS = [
+  // Auth
+  'registerUser',
+  'loginUser',
+  'logoutUser',
+  'onAuthChange',
+  'getCurrentUser',
+  // Notes
+  'createNoteId',
+  'saveNote',
+  'updateNote',
+  'deleteNote',
+  'getNotes',
+  'getNotesChangedSince',
+  'subscribeToNotes',
+  'getNote',
+  // Revision history
+  'saveNoteRevision',
+  'getNoteRevisions',
+  'deleteNoteRevisions',
+  // User metadata
+  'saveUserEncryptionData',
+  'getUserEncryptionSalt',
+  'getUserEncryptionData',
+  'saveUserRecoveryData',
+  'saveKeyRotation',
+  'completeKeyRotation'
+];
+
+const ADAPTERS = {
+  firebase: createFirebaseBackend,
+  emulator: createEmulatorBackend,
+  memory: createMemoryBackend,
+  server: createServerBackend
+};
+
+export const createBackend = (name) => {
+  const createAdapter = ADAPTERS[name];
+  if (!createAdapter) {
+    throw new Error(`Unknown notes backend "${name}" - use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const backend = createAdapter();
+  const missing = BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`The ${name} backend does not implement: ${missing.join(', ')}`);
+  }
+
+  return backend;
+};
+
+const backend = createBackend(process.env.REACT_APP_NOTES_BACKEND || 'firebase');
+
+export const {
+  registerUser,
+  loginUser,
+  logoutUser,
+  onAuthChange,
+  getCurrentUser,
+  createNoteId,
+  saveNote,
+  updateNote,
+  deleteNote,
+  getNotes,
+  getNotesChangedSince,
+  subscribeToNotes,
+  getNote,
+  saveNoteRevision,
+  getNoteRevisions,
+  deleteNoteRevisions,
+  saveUserEncryptionData,
+  getUserEncryptionSalt,
+  getUserEncryptionData,
+  saveUserRecoveryData,
+  saveKeyRotation,
+  completeKeyRotation
+} = backend;
+
+export default backend;
@@ -0,0 +1,14 @@
+// src/services/backends/emulatorBackend.js
+// NotesBackend adapter for the Firebase emulator suite (`firebase emulators:start`),
+// so the app can run without touching the live project
+import { createFirebaseBackend } from './firebaseBackend';
+
+export const createEmulatorBackend = () => createFirebaseBackend({
+  emulator: {
+    host: process.env.REACT_APP_EMULATOR_HOST || 'localhost',
+    authPort: Number(process.env.REACT_APP_AUTH_EMULATOR_PORT) || 9099,
+    firestorePort: Number(process.env.REACT_APP_FIRESTORE_EMULATOR_PORT) || 8080,
+    // demo- projects only exist in the emulators
+    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID || 'demo-confidential-notes'
+  }
+});
@@ -0,0 +1,499 @@
+// src/services/backends/firebaseBackend.js
+// NotesBackend adapter for Firebase Auth and Firestore (optionally the
+// Firebase emulator suite)
+import { initializeApp } from 'firebase/app';
+import { 
+  getAuth, 
+  connectAuthEmulator,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  signOut,
+  onAuthStateChanged,
+  updateProfile
+} from 'firebase/auth';
+import { 
+  initializeFirestore,
+  connectFirestoreEmulator,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+  Timestamp,
+  writeBatch,
+  runTransaction,
+  deleteField
+} from 'firebase/firestore';
+
+// Firebase configuration - Using Create React App environment variables (REACT_APP_ prefix)
+const firebaseConfig = {
+  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.REACT_APP_FIREBASE_APP_ID
+};
+
+// Set up by createFirebaseBackend
+let auth = null;
+let db = null;
+
+// Auth functions
+const registerUser = async (email, password, displayName) => {
+  try {
+    const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+    const user = userCredential.user;
+
+    if (displayName) {
+      await updateProfile(user, { displayName });
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Registration error:', error);
+    throw error;
+  }
+};
+
+const loginUser = async (email, password) => {
+  try {
+    const userCredential = await signInWithEmailAndPassword(auth, email, password);
+    return userCredential.user;
+  } catch (error) {
+    console.error('Login error:', error);
+    throw error;
+  }
+};
+
+const logoutUser = async () => {
+  try {
+    await signOut(auth);
+  } catch (error) {
+    console.error('Logout error:', error);
+    throw error;
+  }
+};
+
+const onAuthChange = (callback) => {
+  return onAuthStateChanged(auth, callback);
+};
+
+const getCurrentUser = () => {
+  return auth.currentUser;
+};
+
+// Firestore functions for notes
+
+// Note documents with server timestamps as ISO strings, so they can be cached
+// in IndexedDB and compared like the dates written locally
+const toNote = (noteSnap) => {
+  const note = { id: noteSnap.id, ...noteSnap.data() };
+  ['createdAt', 'updatedAt', 'deletedAt'].forEach(field => {
+    if (note[field] instanceof Timestamp) {
+      note[field] = note[field].toDate().toISOString();
+    }
+  });
+  return note;
+};
+
+// Generate a note id on the client (works offline). Notes need their id
+// before they are encrypted, since the ciphertext is bound to it.
+const createNoteId = (userId) => {
+  return doc(collection(db, 'users', userId, 'notes')).id;
+};
+
+const saveNote = async (userId, noteData) => {
+  try {
+    const noteRef = noteData.id
+      ? doc(db, 'users', userId, 'notes', noteData.id)
+      : doc(collection(db, 'users', userId, 'notes'));
+    const noteId = noteRef.id;
+
+    await setDoc(noteRef, {
+      ...noteData,
+      id: noteId,
+      userId: userId,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+
+    return noteId;
+  } catch (error) {
+    console.error('Error saving note:', error);
+    throw error;
+  }
+};
+
+// Update a note only if the server still has expectedRevision (the revision
+// the edit started from). Otherwise throws a 'revision-conflict' error that
+// carries the server's copy in error.serverNote.
+const updateNote = async (userId, noteId, noteData, expectedRevision) => {
+  try {
+    const noteRef = doc(db, 'users', userId, 'notes', noteId);
+
+    if (expectedRevision === undefined) {
+      await updateDoc(noteRef, {
+        ...noteData,
+        updatedAt: serverTimestamp()
+      });
+      return;
+    }
+
+    await runTransaction(db, async (transaction) => {
+      const noteSnap = await transaction.get(noteRef);
+      if (!noteSnap.exists()) {
+        const error = new Error('Note not found');
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const serverNote = toNote(noteSnap);
+      if (serverNote.deleted) {
+        const error = new Error('Note not found');
+        error.code = 'not-found';
+        throw error;
+      }
+      if ((serverNote.revision || 0) !== (expectedRevision || 0)) {
+        const error = new Error('This note was changed on another device');
+        error.code = 'revision-conflict';
+        error.serverNote = serverNote;
+        throw error;
+      }
+
+      transaction.update(noteRef, {
+        ...noteData,
+        updatedAt: serverTimestamp()
+      });
+    });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    throw error;
+  }
+};
+
+// Deleting leaves a tombstone without the ciphertext, so other devices pick
+// up the deletion in their next delta sync
+const deleteNote = async (userId, noteId) => {
+  try {
+    const noteRef = doc(db, 'users', userId, 'notes', noteId);
+    await setDoc(noteRef, {
+      id: noteId,
+      userId,
+      deleted: true,
+      deletedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    throw error;
+  }
+};
+
+const getNotes = async (userId) => {
+  try {
+    const notesRef = collection(db, 'users', userId, 'notes');
+    const q = query(notesRef, orderBy('updatedAt', 'desc'));
+    const querySnapshot = await getDocs(q);
+
+    const notes = [];
+    querySnapshot.forEach((doc) => {
+      const note = toNote(doc);
+      if (!note.deleted) {
+        notes.push(note);
+      }
+    });
+
+    return notes;
+  } catch (error) {
+    console.error('Error getting notes:', error);
+    throw error;
+  }
+};
+
+// Notes (and tombstones of deleted notes) written at or after the since
+// cursor, oldest first. Without a cursor every document is included.
+// The comparison is inclusive because the ISO cursor drops the sub-millisecond
+// part of the server timestamp; re-applying a note is harmless.
+const changedNotesQuery = (userId, since) => {
+  const notesRef = collection(db, 'users', userId, 'notes');
+  return since
+    ? query(notesRef, where('updatedAt', '>=', Timestamp.fromDate(new Date(since))), orderBy('updatedAt'))
+    : query(notesRef, orderBy('updatedAt'));
+};
+
+const getNotesChangedSince = async (userId, since) => {
+  try {
+    const querySnapshot = await getDocs(changedNotesQuery(userId, since));
+
+    return querySnapshot.docs.map(toNote);
+  } catch (error) {
+    console.error('Error getting changed notes:', error);
+    throw error;
+  }
+};
+
+// Listen for notes changed at or after the since cursor. onChange receives the
+// changed notes of each snapshot; this tab's own writes are skipped until the
+// server has confirmed them. Returns the unsubscribe function.
+const subscribeToNotes = (userId, since, onChange, onError) => {
+  return onSnapshot(
+    changedNotesQuery(userId, since),
+    (snapshot) => {
+      const changes = snapshot.docChanges()
+        .filter(change => change.type !== 'removed' && !change.doc.metadata.hasPendingWrites)
+        .map(change => toNote(change.doc));
+
+      if (changes.length > 0) {
+        onChange(changes);
+      }
+    },
+    (error) => {
+      console.error('Error listening for note changes:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+const getNote = async (userId, noteId) => {
+  try {
+    const noteRef = doc(db, 'users', userId, 'notes', noteId);
+    const noteSnap = await getDoc(noteRef);
+
+    if (noteSnap.exists() && !noteSnap.data().deleted) {
+      return toNote(noteSnap);
+    } else {
+      const error = new Error('Note not found');
+      error.code = 'not-found';
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error getting note:', error);
+    throw error;
+  }
+};
+
+// Revision history: encrypted snapshots of a note, one document each under
+// users/{userId}/notes/{noteId}/history
+const historyCollection = (userId, noteId) => collection(db, 'users', userId, 'notes', noteId, 'history');
+
+const saveNoteRevision = async (userId, noteId, entry) => {
+  try {
+    await setDoc(doc(historyCollection(userId, noteId), entry.id), entry);
+  } catch (error) {
+    console.error('Error saving note revision:', error);
+    throw error;
+  }
+};
+
+// Oldest first
+const getNoteRevisions = async (userId, noteId) => {
+  try {
+    const querySnapshot = await getDocs(query(historyCollection(userId, noteId), orderBy('savedAt')));
+    return querySnapshot.docs.map(revisionSnap => revisionSnap.data());
+  } catch (error) {
+    console.error('Error getting note revisions:', error);
+    throw error;
+  }
+};
+
+const deleteNoteRevisions = async (userId, noteId, revisionIds) => {
+  try {
+    const batch = writeBatch(db);
+    revisionIds.forEach(revisionId => {
+      batch.delete(doc(historyCollection(userId, noteId), revisionId));
+    });
+    await batch.commit();
+  } catch (error) {
+    console.error('Error deleting note revisions:', error);
+    throw error;
+  }
+};
+
+// Encryption salt functions
+// data: { salt, kdf, keyCheck, wrappedKey } - written in one merge so a password
+// change swaps the salt and the wrapped data key together
+const saveUserEncryptionData = async (userId, { salt, kdf = null, keyCheck = null, wrappedKey = null }) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    const data = {
+      encryptionSalt: salt,
+      updatedAt: serverTimestamp()
+    };
+
+    // Key derivation parameters used with this salt
+    if (kdf) {
+      data.kdf = kdf;
+    }
+
+    // Key-check value used to reject a wrong encryption password at login
+    if (keyCheck) {
+      data.keyCheck = keyCheck;
+    }
+
+    // Random data-encryption key, wrapped by the password-derived key
+    if (wrappedKey) {
+      data.wrappedKey = wrappedKey;
+    }
+
+    await setDoc(userRef, data, { merge: true });
+  } catch (error) {
+    console.error('Error saving encryption data:', error);
+    throw error;
+  }
+};
+
+const getUserEncryptionSalt = async (userId) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    const userSnap = await getDoc(userRef);
+
+    if (userSnap.exists() && userSnap.data().encryptionSalt) {
+      return userSnap.data().encryptionSalt;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error getting encryption salt:', error);
+    throw error;
+  }
+};
+
+const getUserEncryptionData = async (userId) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    const userSnap = await getDoc(userRef);
+
+    if (userSnap.exists() && userSnap.data().encryptionSalt) {
+      const data = userSnap.data();
+      return {
+        salt: data.encryptionSalt,
+        kdf: data.kdf || null,
+        keyCheck: data.keyCheck || null,
+        wrappedKey: data.wrappedKey || null,
+        recoverySalt: data.recoverySalt || null,
+        recoveryKdf: data.recoveryKdf || null,
+        recoveryWrappedKey: data.recoveryWrappedKey || null,
+        keyRotation: data.keyRotation || null
+      };
+    }
+    return null;
+  } catch (error) {
+    console.error('Error getting encryption data:', error);
+    throw error;
+  }
+};
+
+// Save the data key wrapped by the recovery phrase (replaces any previous phrase)
+const saveUserRecoveryData = async (userId, { recoverySalt, recoveryKdf, recoveryWrappedKey }) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    await setDoc(userRef, {
+      recoverySalt,
+      recoveryKdf,
+      recoveryWrappedKey,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving recovery data:', error);
+    throw error;
+  }
+};
+
+// Record an in-progress note re-encryption so it can be resumed
+const saveKeyRotation = async (userId, keyRotation) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    await setDoc(userRef, {
+      keyRotation,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving key rotation:', error);
+    throw error;
+  }
+};
+
+// Switch to the new keys once every note is re-encrypted
+const completeKeyRotation = async (userId, salt, keyCheck, wrappedKey = null) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    const data = {
+      encryptionSalt: salt,
+      keyCheck,
+      keyRotation: deleteField(),
+      updatedAt: serverTimestamp()
+    };
+
+    if (wrappedKey) {
+      data.wrappedKey = wrappedKey;
+    }
+
+    await updateDoc(userRef, data);
+  } catch (error) {
+    console.error('Error completing key rotation:', error);
+    throw error;
+  }
+};
+
+// emulator: { host, authPort, firestorePort, projectId } to use the Firebase
+// emulator suite instead of the live project
+export const createFirebaseBackend = ({ emulator = null } = {}) => {
+  // The emulators accept any API key
+  const config = emulator
+    ? { ...firebaseConfig, apiKey: firebaseConfig.apiKey || 'emulator', projectId: emulator.projectId }
+    : firebaseConfig;
+
+  // Validate Firebase config
+  if (!config.apiKey) {
+    console.error('Firebase configuration is missing. Please check your .env file.');
+    console.error('Make sure all environment variables start with REACT_APP_');
+  }
+
+  // Initialize Firebase
+  const app = initializeApp(config);
+  auth = getAuth(app);
+
+  // Offline persistence, shared by every open tab
+  db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+  });
+
+  if (emulator) {
+    connectAuthEmulator(auth, `http://${emulator.host}:${emulator.authPort}`, { disableWarnings: true });
+    connectFirestoreEmulator(db, emulator.host, emulator.firestorePort);
+    console.log(`Using the Firebase emulators on ${emulator.host}`);
+  }
+
+  return {
+    registerUser,
+    loginUser,
+    logoutUser,
+    onAuthChange,
+    getCurrentUser,
+    createNoteId,
+    saveNote,
+    updateNote,
+    deleteNote,
+    getNotes,
+    getNotesChangedSince,
+    subscribeToNotes,
+    getNote,
+    saveNoteRevision,
+    getNoteRevisions,
+    deleteNoteRevisions,
+    saveUserEncryptionData,
+    getUserEncryptionSalt,
+    getUserEncryptionData,
+    saveUserRecoveryData,
+    saveKeyRotation,
+    completeKeyRotation
+  };
+};
@@ -0,0 +1,260 @@
+// src/services/backends/memoryBackend.js
+// NotesBackend adapter that keeps accounts, user metadata and notes in memory,
+// for tests and demos. It follows the Firebase adapter's semantics (error
+// codes, revision checks, tombstones) but nothing survives a page reload.
+import { MIN_PASSWORD_LENGTH, randomId, backendError, toEncryptionData } from './shared';
+
+export const createMemoryBackend = () => {
+  const accounts = new Map(); // email -> { uid, email, password, displayName }
+  const userDocs = new Map(); // uid -> encryption metadata
+  const notesByUser = new Map(); // uid -> Map(noteId -> note)
+  const historyByNote = new Map(); // `${uid}/${noteId}` -> Map(revisionId -> entry)
+  const authListeners = new Set();
+  const noteListeners = new Set();
+  let currentUser = null;
+  let lastTimestamp = '';
+
+  // Server timestamps, strictly increasing so sync cursors never skip a write
+  const now = () => {
+    let timestamp = new Date().toISOString();
+    if (timestamp <= lastTimestamp) {
+      timestamp = new Date(Date.parse(lastTimestamp) + 1).toISOString();
+    }
+    lastTimestamp = timestamp;
+    return timestamp;
+  };
+
+  const toUser = ({ uid, email, displayName }) => ({ uid, email, displayName });
+
+  const setCurrentUser = (account) => {
+    currentUser = account ? toUser(account) : null;
+    authListeners.forEach(listener => listener(currentUser));
+  };
+
+  const userNotes = (userId) => {
+    if (!notesByUser.has(userId)) {
+      notesByUser.set(userId, new Map());
+    }
+    return notesByUser.get(userId);
+  };
+
+  // Store a note and tell the subscribers, asynchronously like Firestore
+  const writeNote = (userId, note) => {
+    userNotes(userId).set(note.id, note);
+    noteListeners.forEach(listener => {
+      if (listener.userId === userId) {
+        setTimeout(() => listener.onChange([{ ...note }]), 0);
+      }
+    });
+  };
+
+  const changedSince = (userId, since) => [...userNotes(userId).values()]
+    .filter(note => !since || note.updatedAt >= since)
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+    .map(note => ({ ...note }));
+
+  const getUserDoc = (userId) => userDocs.get(userId) || {};
+
+  // Auth functions
+  const registerUser = async (email, password, displayName) => {
+    if (accounts.has(email)) {
+      throw backendError('auth/email-already-in-use', 'Email already in use');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw backendError('auth/weak-password', 'Password should be at least 6 characters');
+    }
+
+    const account = { uid: randomId(28), email, password, displayName: displayName || null };
+    accounts.set(email, account);
+    setCurrentUser(account);
+    return toUser(account);
+  };
+
+  const loginUser = async (email, password) => {
+    const account = accounts.get(email);
+    if (!account || account.password !== password) {
+      throw backendError('auth/invalid-credential', 'Invalid email or password');
+    }
+
+    setCurrentUser(account);
+    return toUser(account);
+  };
+
+  const logoutUser = async () => {
+    setCurrentUser(null);
+  };
+
+  const onAuthChange = (callback) => {
+    authListeners.add(callback);
+    setTimeout(() => {
+      if (authListeners.has(callback)) callback(currentUser);
+    }, 0);
+    return () => authListeners.delete(callback);
+  };
+
+  const getCurrentUser = () => currentUser;
+
+  // Notes
+  const createNoteId = () => randomId(20);
+
+  const saveNote = async (userId, noteData) => {
+    const noteId = noteData.id || createNoteId();
+    const timestamp = now();
+
+    writeNote(userId, {
+      ...noteData,
+      id: noteId,
+      userId,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+    return noteId;
+  };
+
+  // Same contract as the Firebase adapter: with expectedRevision the write
+  // only applies on top of that revision
+  const updateNote = async (userId, noteId, noteData, expectedRevision) => {
+    const existing = userNotes(userId).get(noteId);
+    if (!existing || (expectedRevision !== undefined && existing.deleted)) {
+      throw backendError('not-found', 'Note not found');
+    }
+
+    if (expectedRevision !== undefined && (existing.revision || 0) !== (expectedRevision || 0)) {
+      const error = backendError('revision-conflict', 'This note was changed on another device');
+      error.serverNote = { ...existing };
+      throw error;
+    }
+
+    writeNote(userId, { ...existing, ...noteData, updatedAt: now() });
+  };
+
+  // Leaves a tombstone, like the Firebase adapter
+  const deleteNote = async (userId, noteId) => {
+    const timestamp = now();
+    writeNote(userId, {
+      id: noteId,
+      userId,
+      deleted: true,
+      deletedAt: timestamp,
+      updatedAt: timestamp
+    });
+  };
+
+  const getNotes = async (userId) => changedSince(userId, null)
+    .filter(note => !note.deleted)
+    .reverse();
+
+  const getNotesChangedSince = async (userId, since) => changedSince(userId, since);
+
+  const subscribeToNotes = (userId, since, onChange) => {
+    const listener = { userId, onChange };
+    noteListeners.add(listener);
+
+    // Like onSnapshot, start with everything already matching
+    const initial = changedSince(userId, since);
+    if (initial.length > 0) {
+      setTimeout(() => {
+        if (noteListeners.has(listener)) onChange(initial);
+      }, 0);
+    }
+
+    return () => noteListeners.delete(listener);
+  };
+
+  const getNote = async (userId, noteId) => {
+    const note = userNotes(userId).get(noteId);
+    if (!note || note.deleted) {
+      throw backendError('not-found', 'Note not found');
+    }
+    return { ...note };
+  };
+
+  // Revision history
+  const noteHistory = (userId, noteId) => {
+    const key = `${userId}/${noteId}`;
+    if (!historyByNote.has(key)) {
+      historyByNote.set(key, new Map());
+    }
+    return historyByNote.get(key);
+  };
+
+  const saveNoteRevision = async (userId, noteId, entry) => {
+    noteHistory(userId, noteId).set(entry.id, { ...entry });
+  };
+
+  const getNoteRevisions = async (userId, noteId) => [...noteHistory(userId, noteId).values()]
+    .sort((a, b) => a.savedAt.localeCompare(b.savedAt))
+    .map(entry => ({ ...entry }));
+
+  const deleteNoteRevisions = async (userId, noteId, revisionIds) => {
+    revisionIds.forEach(revisionId => noteHistory(userId, noteId).delete(revisionId));
+  };
+
+  // User metadata
+  const saveUserEncryptionData = async (userId, { salt, kdf = null, keyCheck = null, wrappedKey = null }) => {
+    const data = { encryptionSalt: salt, updatedAt: now() };
+    if (kdf) data.kdf = kdf;
+    if (keyCheck) data.keyCheck = keyCheck;
+    if (wrappedKey) data.wrappedKey = wrappedKey;
+
+    userDocs.set(userId, { ...getUserDoc(userId), ...data });
+  };
+
+  const getUserEncryptionSalt = async (userId) => getUserDoc(userId).encryptionSalt || null;
+
+  const getUserEncryptionData = async (userId) => toEncryptionData(userDocs.get(userId));
+
+  const saveUserRecoveryData = async (userId, { recoverySalt, recoveryKdf, recoveryWrappedKey }) => {
+    userDocs.set(userId, {
+      ...getUserDoc(userId),
+      recoverySalt,
+      recoveryKdf,
+      recoveryWrappedKey,
+      updatedAt: now()
+    });
+  };
+
+  const saveKeyRotation = async (userId, keyRotation) => {
+    userDocs.set(userId, { ...getUserDoc(userId), keyRotation, updatedAt: now() });
+  };
+
+  const completeKeyRotation = async (userId, salt, keyCheck, wrappedKey = null) => {
+    if (!userDocs.has(userId)) {
+      throw backendError('not-found', 'User not found');
+    }
+
+    const { keyRotation, ...data } = getUserDoc(userId);
+    userDocs.set(userId, {
+      ...data,
+      encryptionSalt: salt,
+      keyCheck,
+      ...(wrappedKey ? { wrappedKey } : {}),
+      updatedAt: now()
+    });
+  };
+
+  return {
+    registerUser,
+    loginUser,
+    logoutUser,
+    onAuthChange,
+    getCurrentUser,
+    createNoteId,
+    saveNote,
+    updateNote,
+    deleteNote,
+    getNotes,
+    getNotesChangedSince,
+    subscribeToNotes,
+    getNote,
+    saveNoteRevision,
+    getNoteRevisions,
+    deleteNoteRevisions,
+    saveUserEncryptionData,
+    getUserEncryptionSalt,
+    getUserEncryptionData,
+    saveUserRecoveryData,
+    saveKeyRotation,
+    completeKeyRotation
+  };
+};
@@ -0,0 +1,267 @@
+// src/services/backends/serverBackend.js
+// NotesBackend adapter for the self-hosted sync server in server/. Notes are
+// encrypted before they reach the adapter, so the server stores their
+// ciphertext, but it also keeps account emails, key metadata and a scrypt
+// hash of an auth secret derived from the password (see deriveAuthSecret):
+// whoever runs it can try to guess passwords against that hash.
+import { MIN_PASSWORD_LENGTH, randomId, backendError, toEncryptionData } from './shared';
+
+const SERVER_URL = (process.env.REACT_APP_SYNC_SERVER_URL || 'http://localhost:4000').replace(/\/$/, '');
+
+// { token, user } of the signed-in account, kept across reloads
+const SESSION_KEY = 'syncServerSession';
+
+// PBKDF2 parameters of the auth secret: the note key's when this was written.
+// The server only keeps a hash of the result, so changing them would lock
+// every account out - they stay fixed when the note key's KDF is upgraded.
+const AUTH_SECRET_KDF = { hash: 'SHA-256', iterations: 600000 };
+
+// The password also derives the encryption key, so the server gets a
+// one-way hash of it instead, salted per account (by email) so it can't be
+// reused and costly enough per guess that it is no shortcut to the key
+const deriveAuthSecret = async (email, password) => {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      hash: AUTH_SECRET_KDF.hash,
+      salt: encoder.encode(`confidential-notes-auth:${email.trim().toLowerCase()}`),
+      iterations: AUTH_SECRET_KDF.iterations
+    },
+    baseKey,
+    256
+  );
+  return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createServerBackend = () => {
+  let session = loadSession();
+  const authListeners = new Set();
+
+  const setSession = (nextSession) => {
+    session = nextSession;
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    authListeners.forEach(listener => listener(session ? session.user : null));
+  };
+
+  // JSON request to the server. Errors carry the server's .code (and
+  // .serverNote on a revision conflict); 'unavailable' when it can't be reached.
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${SERVER_URL}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(session ? { Authorization: `Bearer ${session.token}` } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      console.error(`${method} ${path} failed:`, error);
+      throw backendError('unavailable', 'The sync server could not be reached');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = backendError(data.code || 'unknown', data.message || `Request failed (${response.status})`);
+      if (data.serverNote) error.serverNote = data.serverNote;
+      console.error(`${method} ${path} failed:`, error);
+
+      // The token expired or was revoked - sign out
+      if (response.status === 401 && session && !path.startsWith('/auth/login')) {
+        setSession(null);
+      }
+      throw error;
+    }
+    return data;
+  };
+
+  // Auth functions
+  const registerUser = async (email, password, displayName) => {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw backendError('auth/weak-password', 'Password should be at least 6 characters');
+    }
+
+    const secret = await deriveAuthSecret(email, password);
+    const nextSession = await request('POST', '/auth/register', { email, secret, displayName });
+    setSession(nextSession);
+    return nextSession.user;
+  };
+
+  const loginUser = async (email, password) => {
+    const secret = await deriveAuthSecret(email, password || '');
+    const nextSession = await request('POST', '/auth/login', { email, secret });
+    setSession(nextSession);
+    return nextSession.user;
+  };
+
+  const logoutUser = async () => {
+    try {
+      await request('POST', '/auth/logout');
+    } catch (error) {
+      // Signed out locally either way; the token just expires on the server
+    }
+    setSession(null);
+  };
+
+  const onAuthChange = (callback) => {
+    authListeners.add(callback);
+    setTimeout(() => {
+      if (authListeners.has(callback)) callback(session ? session.user : null);
+    }, 0);
+    return () => authListeners.delete(callback);
+  };
+
+  const getCurrentUser = () => (session ? session.user : null);
+
+  // Notes
+  const notePath = (noteId) => `/notes/${encodeURIComponent(noteId)}`;
+
+  const createNoteId = () => randomId(20);
+
+  const saveNote = async (userId, noteData) => {
+    const noteId = noteData.id || createNoteId();
+    await request('PUT', notePath(noteId), noteData);
+    return noteId;
+  };
+
+  // With expectedRevision the server only applies the write on top of that
+  // revision, otherwise it answers with a 'revision-conflict'
+  const updateNote = async (userId, noteId, noteData, expectedRevision) => {
+    await request('PATCH', notePath(noteId), { note: noteData, expectedRevision });
+  };
+
+  const deleteNote = async (userId, noteId) => {
+    await request('DELETE', notePath(noteId));
+  };
+
+  const getNotesChangedSince = async (userId, since) => {
+    return request('GET', since ? `/notes?since=${encodeURIComponent(since)}` : '/notes');
+  };
+
+  const getNotes = async (userId) => (await getNotesChangedSince(userId, null))
+    .filter(note => !note.deleted)
+    .reverse();
+
+  // Server-sent events; EventSource reconnects by itself and resumes from the
+  // last event it received
+  const subscribeToNotes = (userId, since, onChange, onError) => {
+    const params = new URLSearchParams({ token: session ? session.token : '' });
+    if (since) params.set('since', since);
+
+    const source = new EventSource(`${SERVER_URL}/notes/events?${params}`);
+    source.onmessage = (event) => {
+      const changes = JSON.parse(event.data);
+      if (changes.length > 0) onChange(changes);
+    };
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        const error = backendError('unavailable', 'Lost the connection to the sync server');
+        console.error('Error listening for note changes:', error);
+        if (onError) onError(error);
+      }
+    };
+
+    return () => source.close();
+  };
+
+  const getNote = async (userId, noteId) => request('GET', notePath(noteId));
+
+  // Revision history
+  const historyPath = (noteId) => `${notePath(noteId)}/history`;
+
+  const saveNoteRevision = async (userId, noteId, entry) => {
+    await request('PUT', `${historyPath(noteId)}/${encodeURIComponent(entry.id)}`, entry);
+  };
+
+  const getNoteRevisions = async (userId, noteId) => request('GET', historyPath(noteId));
+
+  const deleteNoteRevisions = async (userId, noteId, revisionIds) => {
+    await request('POST', `${historyPath(noteId)}/delete`, { ids: revisionIds });
+  };
+
+  // User metadata (null removes a field)
+  const updateUserDoc = (fields) => request('PATCH', '/users/me', fields);
+
+  const saveUserEncryptionData = async (userId, { salt, kdf = null, keyCheck = null, wrappedKey = null }) => {
+    const data = { encryptionSalt: salt };
+    if (kdf) data.kdf = kdf;
+    if (keyCheck) data.keyCheck = keyCheck;
+    if (wrappedKey) data.wrappedKey = wrappedKey;
+
+    await updateUserDoc(data);
+  };
+
+  const getUserEncryptionSalt = async (userId) => {
+    const data = await request('GET', '/users/me');
+    return data.encryptionSalt || null;
+  };
+
+  const getUserEncryptionData = async (userId) => toEncryptionData(await request('GET', '/users/me'));
+
+  const saveUserRecoveryData = async (userId, { recoverySalt, recoveryKdf, recoveryWrappedKey }) => {
+    await updateUserDoc({ recoverySalt, recoveryKdf, recoveryWrappedKey });
+  };
+
+  const saveKeyRotation = async (userId, keyRotation) => {
+    await updateUserDoc({ keyRotation });
+  };
+
+  const completeKeyRotation = async (userId, salt, keyCheck, wrappedKey = null) => {
+    await updateUserDoc({
+      encryptionSalt: salt,
+      keyCheck,
+      keyRotation: null,
+      ...(wrappedKey ? { wrappedKey } : {})
+    });
+  };
+
+  // Check a restored session is still valid; offline, keep it until the
+  // server can say otherwise
+  if (session) {
+    request('GET', '/auth/me')
+      .then(({ user }) => {
+        if (session) setSession({ ...session, user });
+      })
+      .catch(() => {});
+  }
+
+  return {
+    registerUser,
+    loginUser,
+    logoutUser,
+    onAuthChange,
+    getCurrentUser,
+    createNoteId,
+    saveNote,
+    updateNote,
+    deleteNote,
+    getNotes,
+    getNotesChangedSince,
+    subscribeToNotes,
+    getNote,
+    saveNoteRevision,
+    getNoteRevisions,
+    deleteNoteRevisions,
+    saveUserEncryptionData,
+    getUserEncryptionSalt,
+    getUserEncryptionData,
+    saveUserRecoveryData,
+    saveKeyRotation,
+    completeKeyRotation
+  };
+};
@@ -0,0 +1,35 @@
+// src/services/backends/shared.js
+// Helpers shared by the adapters that don't sit on the Firebase SDK
+
+export const MIN_PASSWORD_LENGTH = 6; // same as Firebase Auth
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+export const randomId = (length) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, byte => ID_CHARS[byte % ID_CHARS.length]).join('');
+};
+
+// Errors with a Firebase-style .code, which is what the app checks
+export const backendError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// A user document as getUserEncryptionData returns it (null before the
+// encryption password is set up)
+export const toEncryptionData = (data) => {
+  if (!data || !data.encryptionSalt) return null;
+
+  return {
+    salt: data.encryptionSalt,
+    kdf: data.kdf || null,
+    keyCheck: data.keyCheck || null,
+    wrappedKey: data.wrappedKey || null,
+    recoverySalt: data.recoverySalt || null,
+    recoveryKdf: data.recoveryKdf || null,
+    recoveryWrappedKey: data.recoveryWrappedKey || null,
+    keyRotation: data.keyRotation || null
+  };
+};
@@ -1,9 +1,52 @@
 // src/services/encryption.js
 import CryptoJS from 'crypto-js';
+import { scrypt } from 'scrypt-js';
+import { bytesToBase64, base64ToBytes, bytesToHex, hexToBytes } from '../utils/helpers';
+import {
+  RECOVERY_PHRASE_WORDS,
+  PBKDF2_KDF,
+  SCRYPT_KDF,
+  DEFAULT_KDF,
+  LEGACY_KDF
+} from '../utils/constants';
+import { WORDLIST } from '../utils/wordlist';
+
+// Envelope format for AES-GCM ciphertext (version 1 was CryptoJS AES-CBC,
+// version 2 had no associated data binding note fields to their note)
+const ENCRYPTION_VERSION = 3;
+const UNBOUND_VERSION = 2;
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_SEPARATOR = '.';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Error code for notes whose ciphertext doesn't belong where it was found
+const NOTE_TAMPERED = 'note-tampered';
+const NOTE_FIELDS = ['title', 'content', 'tags', 'checklist'];
+
+const tamperError = (message) => {
+  const error = new Error(message);
+  error.code = NOTE_TAMPERED;
+  return error;
+};
 
 class EncryptionService {
   constructor() {
-    this.masterKey = null;
+    // Non-extractable AES-GCM key for this session - the raw key is not kept
+    this.sessionKey = null;
+    // Hex key for direct-key accounts whose notes may still be CryptoJS ciphertext
+    this.legacyKey = null;
+    this.keyListeners = new Set();
+  }
+
+  // Subscribe to the master key being set or cleared; returns an unsubscribe function
+  onKeyChange(listener) {
+    this.keyListeners.add(listener);
+    return () => this.keyListeners.delete(listener);
+  }
+
+  notifyKeyChange() {
+    this.keyListeners.forEach(listener => listener(this.hasMasterKey()));
   }
 
   // Generate a random salt
@@ -11,97 +54,315 @@ class EncryptionService {
     return CryptoJS.lib.WordArray.random(128 / 8).toString();
   }
 
-  // Derive encryption key from password using PBKDF2
-  async deriveKeyFromPassword(password, salt = null) {
+  // Derive encryption key from password using the stored KDF parameters.
+  // An existing salt without parameters gets the original 10,000-iteration PBKDF2.
+  async deriveKeyFromPassword(password, salt = null, kdf = null) {
     const actualSalt = salt || this.generateSalt();
-    
-    const key = CryptoJS.PBKDF2(password, actualSalt, {
-      keySize: 256 / 32,
-      iterations: 10000
-    });
+    const params = kdf || (salt ? LEGACY_KDF : DEFAULT_KDF);
+
+    // The hex salt is used as UTF-8 text, matching the original CryptoJS derivation
+    const passwordBytes = new TextEncoder().encode(password);
+    const saltBytes = new TextEncoder().encode(actualSalt);
+    let keyBytes;
+
+    if (params.algorithm === 'PBKDF2') {
+      const baseKey = await window.crypto.subtle.importKey(
+        'raw',
+        passwordBytes,
+        'PBKDF2',
+        false,
+        ['deriveBits']
+      );
+      keyBytes = new Uint8Array(await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: params.hash, salt: saltBytes, iterations: params.iterations },
+        baseKey,
+        256
+      ));
+    } else if (params.algorithm === 'scrypt') {
+      keyBytes = await scrypt(passwordBytes, saltBytes, params.N, params.r, params.p, 256 / 8);
+    } else {
+      throw new Error(`Unsupported key derivation: ${params.algorithm}`);
+    }
 
     return {
-      key: key.toString(),
-      salt: actualSalt
+      key: bytesToHex(keyBytes),
+      salt: actualSalt,
+      kdf: params
     };
   }
 
+  // Current policy parameters for the same KDF algorithm
+  getCurrentKdf(kdf) {
+    return kdf && kdf.algorithm === 'scrypt' ? SCRYPT_KDF : PBKDF2_KDF;
+  }
+
+  // Check whether stored KDF parameters fall below current policy
+  kdfNeedsUpgrade(kdf) {
+    const params = kdf || LEGACY_KDF;
+    const current = this.getCurrentKdf(params);
+
+    if (params.algorithm === 'scrypt') {
+      return params.N < current.N || params.r < current.r || params.p < current.p;
+    }
+    return params.iterations < current.iterations;
+  }
+
   // Generate a master key directly (for development/testing)
-  generateMasterKey() {
+  async generateMasterKey() {
     const key = CryptoJS.lib.WordArray.random(256 / 8).toString();
-    this.masterKey = key;
+    await this.setMasterKey(key);
     return key;
   }
 
-  // Set the master encryption key for this session
-  setMasterKey(key) {
+  // Generate a random data-encryption key (wrapped by the password key)
+  generateDataKey() {
+    return CryptoJS.lib.WordArray.random(256 / 8).toString();
+  }
+
+  // Wrap a data key with a password-derived key
+  async wrapKey(dataKey, wrappingKey) {
+    return this.encryptValue(dataKey, wrappingKey);
+  }
+
+  // Unwrap a data key - throws if the wrapping key is wrong
+  async unwrapKey(wrappedKey, wrappingKey) {
+    if (!this.isEnvelope(wrappedKey)) {
+      throw new Error('Invalid wrapped key');
+    }
+    return this.decryptValue(wrappedKey, wrappingKey);
+  }
+
+  // Generate a recovery phrase from random words of the built-in wordlist
+  generateRecoveryPhrase() {
+    // 65536 is a multiple of 2048, so the modulo keeps every word equally likely
+    const indexes = window.crypto.getRandomValues(new Uint16Array(RECOVERY_PHRASE_WORDS));
+    return Array.from(indexes, index => WORDLIST[index % WORDLIST.length]).join(' ');
+  }
+
+  // Normalize a typed recovery phrase - throws if it can't be a valid phrase
+  normalizeRecoveryPhrase(phrase) {
+    const words = (phrase || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length !== RECOVERY_PHRASE_WORDS) {
+      throw new Error(`Recovery phrase must be ${RECOVERY_PHRASE_WORDS} words`);
+    }
+
+    const unknownWord = words.find(word => !WORDLIST.includes(word));
+    if (unknownWord) {
+      throw new Error(`"${unknownWord}" is not a recovery phrase word`);
+    }
+
+    return words.join(' ');
+  }
+
+  // Set the master encryption key for this session. A hex key is imported as a
+  // non-extractable CryptoKey; only legacy direct-key sessions keep the hex in memory.
+  async setMasterKey(key, { legacy = false } = {}) {
     if (!key) {
       console.error('Attempted to set null/undefined master key');
       return false;
     }
-    this.masterKey = key;
+    this.sessionKey = await this.getCryptoKey(key);
+    this.legacyKey = legacy && typeof key === 'string' ? key : null;
     console.log('Master key set successfully');
+    this.notifyKeyChange();
     return true;
   }
 
-  // Get the master encryption key
-  getMasterKey() {
-    return this.masterKey;
-  }
-
   // Check if master key is set
   hasMasterKey() {
-    return !!this.masterKey;
+    return !!this.sessionKey;
   }
 
   // Clear the master key (on logout)
   clearMasterKey() {
-    this.masterKey = null;
+    this.sessionKey = null;
+    this.legacyKey = null;
     console.log('Master key cleared');
+    this.notifyKeyChange();
   }
 
-  // Encrypt note data
-  encryptNote(noteData) {
-    if (!this.masterKey) {
-      console.error('Encryption key not set when trying to encrypt');
-      
-      // Try to recover from session storage
-      const sessionKey = sessionStorage.getItem('encKey');
-      if (sessionKey) {
-        this.masterKey = sessionKey;
-        console.log('Recovered encryption key from session');
-      } else {
-        throw new Error('Encryption key not set. Please log in again.');
+  // Get a WebCrypto AES-GCM key, importing hex keys as non-extractable
+  async getCryptoKey(key = this.sessionKey) {
+    if (!key) {
+      throw new Error('Encryption key not set');
+    }
+    if (typeof key !== 'string') {
+      return key;
+    }
+
+    return window.crypto.subtle.importKey(
+      'raw',
+      hexToBytes(key),
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Wrap a hex key for storage in IndexedDB. The wrapping key is a
+  // non-extractable CryptoKey stored next to it, so the raw key can't be
+  // read back out - it can only be unwrapped into another non-extractable key.
+  async wrapSessionKey(keyHex) {
+    const wrappingKey = await window.crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'unwrapKey']
+    );
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const wrappedKey = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      wrappingKey,
+      hexToBytes(keyHex)
+    );
+
+    return { wrappingKey, wrappedKey, iv };
+  }
+
+  // Unwrap a stored session key into a non-extractable AES-GCM key
+  async unwrapSessionKey({ wrappingKey, wrappedKey, iv }) {
+    return window.crypto.subtle.unwrapKey(
+      'raw',
+      wrappedKey,
+      wrappingKey,
+      { name: 'AES-GCM', iv },
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Check whether a value uses the WebCrypto envelope format
+  isEnvelope(value) {
+    if (typeof value !== 'string') return false;
+    const parts = value.split(ENVELOPE_SEPARATOR);
+    return parts.length === 5 && /^v\d+$/.test(parts[0]);
+  }
+
+  // Check whether an envelope can carry associated data (version 3 and up)
+  isBoundEnvelope(value) {
+    return this.isEnvelope(value) && Number(value.slice(1, value.indexOf(ENVELOPE_SEPARATOR))) > UNBOUND_VERSION;
+  }
+
+  // Associated data that ties a note field to its owner, note id and revision.
+  // Swapping ciphertext between fields or notes, or changing the revision, fails authentication.
+  noteAssociatedData(noteData, field) {
+    if (!noteData.id || !noteData.userId) {
+      throw new Error('A note needs an id and owner before it can be encrypted');
+    }
+    return JSON.stringify(['note', noteData.userId, noteData.id, field, noteData.revision || 0]);
+  }
+
+  // Check if an error means a note failed its integrity check
+  isTamperError(error) {
+    return !!error && error.code === NOTE_TAMPERED;
+  }
+
+  // Encrypt a string into a versioned envelope: version.algorithm.iv.tag.ciphertext
+  async encryptValue(plaintext, key = this.sessionKey, associatedData = null) {
+    const cryptoKey = await this.getCryptoKey(key);
+    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+    const params = { name: 'AES-GCM', iv, tagLength: TAG_LENGTH * 8 };
+    if (associatedData) {
+      params.additionalData = new TextEncoder().encode(associatedData);
+    }
+
+    const sealed = new Uint8Array(await window.crypto.subtle.encrypt(
+      params,
+      cryptoKey,
+      new TextEncoder().encode(plaintext)
+    ));
+
+    // WebCrypto appends the auth tag to the ciphertext
+    const ciphertext = sealed.slice(0, sealed.length - TAG_LENGTH);
+    const tag = sealed.slice(sealed.length - TAG_LENGTH);
+
+    return [
+      `v${ENCRYPTION_VERSION}`,
+      ENVELOPE_ALGORITHM,
+      bytesToBase64(iv),
+      bytesToBase64(tag),
+      bytesToBase64(ciphertext)
+    ].join(ENVELOPE_SEPARATOR);
+  }
+
+  // Decrypt an envelope, falling back to CryptoJS for legacy ciphertext
+  async decryptValue(value, key = this.sessionKey, associatedData = null) {
+    if (!key) {
+      throw new Error('Encryption key not set');
+    }
+
+    if (!this.isEnvelope(value)) {
+      // CryptoJS needs the key as a hex passphrase
+      const keyHex = typeof key === 'string' ? key : this.legacyKey;
+      if (!keyHex) {
+        throw new Error('Legacy ciphertext needs the encryption password - log in again');
       }
+      return CryptoJS.AES.decrypt(value, keyHex).toString(CryptoJS.enc.Utf8);
     }
 
-    try {
-      // Ensure we have strings to encrypt
-      const titleToEncrypt = (noteData.title || '').toString();
-      const contentToEncrypt = (noteData.content || '').toString();
-      const tagsToEncrypt = JSON.stringify(noteData.tags || []);
+    const [version, algorithm, iv, tag, ciphertext] = value.split(ENVELOPE_SEPARATOR);
+    const versionNumber = Number(version.slice(1));
+    if (versionNumber < UNBOUND_VERSION || versionNumber > ENCRYPTION_VERSION ||
+        algorithm !== ENVELOPE_ALGORITHM) {
+      throw new Error(`Unsupported encryption format: ${version}/${algorithm}`);
+    }
+
+    const cryptoKey = await this.getCryptoKey(key);
+    const ciphertextBytes = base64ToBytes(ciphertext);
+    const tagBytes = base64ToBytes(tag);
+    const sealed = new Uint8Array(ciphertextBytes.length + tagBytes.length);
+    sealed.set(ciphertextBytes);
+    sealed.set(tagBytes, ciphertextBytes.length);
+
+    const params = { name: 'AES-GCM', iv: base64ToBytes(iv), tagLength: TAG_LENGTH * 8 };
+    if (associatedData && versionNumber > UNBOUND_VERSION) {
+      params.additionalData = new TextEncoder().encode(associatedData);
+    }
+
+    // Throws an OperationError if the ciphertext, tag or associated data was modified
+    const plaintext = await window.crypto.subtle.decrypt(params, cryptoKey, sealed);
+
+    return new TextDecoder().decode(plaintext);
+  }
+
+  // Encrypt note data. Each field is bound to the note's owner, id and a new
+  // revision, so the note needs an id and userId before it is encrypted.
+  async encryptNote(noteData, key = null) {
+    if (!key && !this.sessionKey) {
+      console.error('Encryption key not set when trying to encrypt');
+      throw new Error('Encryption key not set. Please log in again.');
+    }
 
-      const encryptedTitle = CryptoJS.AES.encrypt(
-        titleToEncrypt,
-        this.masterKey
-      ).toString();
+    const encryptionKey = key || this.sessionKey;
+    const boundNote = { ...noteData, revision: (noteData.revision || 0) + 1 };
 
-      const encryptedContent = CryptoJS.AES.encrypt(
-        contentToEncrypt,
-        this.masterKey
-      ).toString();
+    try {
+      // Ensure we have strings to encrypt
+      const plaintext = {
+        title: (noteData.title || '').toString(),
+        content: (noteData.content || '').toString(),
+        tags: JSON.stringify(noteData.tags || []),
+        // Plain notes store null, so they can't be told apart from checklists
+        checklist: JSON.stringify(noteData.checklist || null)
+      };
 
-      const encryptedTags = CryptoJS.AES.encrypt(
-        tagsToEncrypt,
-        this.masterKey
-      ).toString();
+      const [encryptedTitle, encryptedContent, encryptedTags, encryptedChecklist] = await Promise.all(
+        NOTE_FIELDS.map(field => this.encryptValue(
+          plaintext[field],
+          encryptionKey,
+          this.noteAssociatedData(boundNote, field)
+        ))
+      );
 
       return {
-        ...noteData,
+        ...boundNote,
         title: encryptedTitle,
         content: encryptedContent,
         tags: encryptedTags, // Store encrypted tags as string
-        encrypted: true
+        checklist: encryptedChecklist,
+        encrypted: true,
+        encryptionVersion: ENCRYPTION_VERSION
       };
     } catch (error) {
       console.error('Encryption error:', error);
@@ -109,56 +370,73 @@ class EncryptionService {
     }
   }
 
-  // Decrypt note data
-  decryptNote(noteData) {
-    if (!this.masterKey) {
+  // Decrypt one note field, checking its binding when the envelope has one
+  async decryptNoteField(noteData, field, key) {
+    const value = noteData[field];
+    if (!this.isBoundEnvelope(value)) {
+      return this.decryptValue(value, key);
+    }
+
+    try {
+      return await this.decryptValue(value, key, this.noteAssociatedData(noteData, field));
+    } catch (error) {
+      throw tamperError(`The ${field} of this note failed its integrity check`);
+    }
+  }
+
+  // Decrypt note data. knownRevision is the newest revision seen locally -
+  // an older revision from the server means the note was rolled back.
+  async decryptNote(noteData, key = null, { knownRevision = 0 } = {}) {
+    if (!key && !this.sessionKey) {
       console.error('Encryption key not set when trying to decrypt');
-      
-      // Try to recover from session storage
-      const sessionKey = sessionStorage.getItem('encKey');
-      if (sessionKey) {
-        this.masterKey = sessionKey;
-        console.log('Recovered encryption key from session for decryption');
-      } else {
-        throw new Error('Encryption key not set. Please log in again.');
-      }
+      throw new Error('Encryption key not set. Please log in again.');
     }
 
     if (!noteData.encrypted) {
       return noteData;
     }
 
+    const decryptionKey = key || this.sessionKey;
+
     try {
-      const decryptedTitle = CryptoJS.AES.decrypt(
-        noteData.title,
-        this.masterKey
-      ).toString(CryptoJS.enc.Utf8);
+      if ((noteData.revision || 0) < knownRevision) {
+        throw tamperError('This note was replaced with an older version');
+      }
+      if (knownRevision > 0 && NOTE_FIELDS.some(field =>
+        typeof noteData[field] === 'string' && !this.isBoundEnvelope(noteData[field]))) {
+        throw tamperError('This note was replaced with ciphertext from an older format');
+      }
 
-      const decryptedContent = CryptoJS.AES.decrypt(
-        noteData.content,
-        this.masterKey
-      ).toString(CryptoJS.enc.Utf8);
+      const decryptedTitle = await this.decryptNoteField(noteData, 'title', decryptionKey);
+      const decryptedContent = await this.decryptNoteField(noteData, 'content', decryptionKey);
 
       let decryptedTags = [];
       if (noteData.tags) {
-        try {
-          // Handle encrypted tags (stored as encrypted string)
-          if (typeof noteData.tags === 'string') {
-            const decryptedTagsString = CryptoJS.AES.decrypt(
-              noteData.tags,
-              this.masterKey
-            ).toString(CryptoJS.enc.Utf8);
-            decryptedTags = JSON.parse(decryptedTagsString || '[]');
-          } else if (Array.isArray(noteData.tags)) {
-            // Handle legacy unencrypted tags
-            decryptedTags = noteData.tags;
+        if (this.isEnvelope(noteData.tags)) {
+          // Authenticated tags must decrypt - a failure means tampering
+          decryptedTags = JSON.parse(await this.decryptNoteField(noteData, 'tags', decryptionKey) || '[]');
+        } else {
+          try {
+            // Handle legacy CryptoJS tags (stored as encrypted string)
+            if (typeof noteData.tags === 'string') {
+              const decryptedTagsString = await this.decryptValue(noteData.tags, decryptionKey);
+              decryptedTags = JSON.parse(decryptedTagsString || '[]');
+            } else if (Array.isArray(noteData.tags)) {
+              // Handle legacy unencrypted tags
+              decryptedTags = noteData.tags;
+            }
+          } catch (e) {
+            console.error('Error decrypting tags:', e);
+            decryptedTags = [];
           }
-        } catch (e) {
-          console.error('Error decrypting tags:', e);
-          decryptedTags = [];
         }
       }
 
+      // Notes from before checklists have no checklist field
+      const decryptedChecklist = noteData.checklist
+        ? JSON.parse(await this.decryptNoteField(noteData, 'checklist', decryptionKey) || 'null')
+        : null;
+
       // Validate decryption - if we get empty strings, the key might be wrong
       if (!decryptedTitle && !decryptedContent && noteData.title && noteData.content) {
         throw new Error('Invalid decryption key');
@@ -169,54 +447,83 @@ class EncryptionService {
         title: decryptedTitle || '',
         content: decryptedContent || '',
         tags: decryptedTags,
+        checklist: decryptedChecklist,
         encrypted: false
       };
     } catch (error) {
       console.error('Decryption error:', error);
+      if (this.isTamperError(error)) {
+        throw error;
+      }
       throw new Error('Failed to decrypt note - check your encryption password');
     }
   }
 
+  // Re-encrypt a note from one key to another (password change)
+  async reencryptNote(noteData, fromKey, toKey) {
+    const decrypted = await this.decryptNote(noteData, fromKey);
+    return this.encryptNote(decrypted, toKey);
+  }
+
+  // Check whether a note is already in the current format under the given key
+  async isNoteEncryptedWithKey(key, noteData) {
+    if (!this.isBoundEnvelope(noteData.content)) {
+      return false;
+    }
+    try {
+      await this.decryptNoteField(noteData, 'content', key);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   // Encrypt a single string
-  encryptString(text) {
-    if (!this.masterKey) {
+  async encryptString(text) {
+    if (!this.sessionKey) {
       throw new Error('Encryption key not set');
     }
-    return CryptoJS.AES.encrypt(text, this.masterKey).toString();
+    return this.encryptValue(text);
   }
 
   // Decrypt a single string
-  decryptString(encryptedText) {
-    if (!this.masterKey) {
+  async decryptString(encryptedText) {
+    if (!this.sessionKey) {
       throw new Error('Encryption key not set');
     }
-    const bytes = CryptoJS.AES.decrypt(encryptedText, this.masterKey);
-    return bytes.toString(CryptoJS.enc.Utf8);
+    return this.decryptValue(encryptedText);
   }
 
   // Validate if a key can decrypt a test string
   async validateKey(key, testEncrypted) {
     try {
-      const bytes = CryptoJS.AES.decrypt(testEncrypted, key);
-      const decrypted = bytes.toString(CryptoJS.enc.Utf8);
+      const decrypted = await this.decryptValue(testEncrypted, key);
       return decrypted === 'test';
     } catch {
       return false;
     }
   }
 
+  // Validate a key against an existing encrypted note
+  async validateKeyWithNote(key, noteData) {
+    try {
+      const [title, content] = await Promise.all([
+        this.decryptNoteField(noteData, 'title', key),
+        this.decryptNoteField(noteData, 'content', key)
+      ]);
+      return !!(title || content);
+    } catch {
+      return false;
+    }
+  }
+
   // Create a test encrypted string for key validation
-  createTestString(key) {
-    return CryptoJS.AES.encrypt('test', key).toString();
+  async createTestString(key) {
+    return this.encryptValue('test', key);
   }
 }
 
 // Export a singleton instance
 const encryptionService = new EncryptionService();
 
-// For debugging in development
-if (process.env.NODE_ENV === 'development') {
-  window.encryptionService = encryptionService;
-}
-
 export default encryptionService;
\ No newline at end of file
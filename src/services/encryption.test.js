@@ -0,0 +1,210 @@
+/**
+ * @jest-environment node
+ */
+import CryptoJS from 'crypto-js';
+import { webcrypto } from 'crypto';
+import encryptionService from './encryption';
+
+// WebCrypto and base64 as the browser provides them
+global.window = global;
+global.crypto = webcrypto;
+
+// Flip one bit of one base64 part of an envelope
+const tamperPart = (envelope, part) => {
+  const parts = envelope.split('.');
+  const bytes = Buffer.from(parts[part], 'base64');
+  bytes[0] ^= 1;
+  parts[part] = bytes.toString('base64');
+  return parts.join('.');
+};
+
+const IV = 2;
+const TAG = 3;
+const CIPHERTEXT = 4;
+
+describe('envelopes', () => {
+  const key = encryptionService.generateDataKey();
+
+  test('round-trip through a versioned AES-GCM envelope', async () => {
+    const envelope = await encryptionService.encryptValue('secret text', key);
+    expect(envelope).toMatch(/^v\d+\.aes-256-gcm\.[^.]+\.[^.]+\.[^.]+$/);
+    expect(encryptionService.isEnvelope(envelope)).toBe(true);
+    await expect(encryptionService.decryptValue(envelope, key)).resolves.toBe('secret text');
+  });
+
+  test('use a new iv for every value', async () => {
+    const first = await encryptionService.encryptValue('same', key);
+    const second = await encryptionService.encryptValue('same', key);
+    expect(first.split('.')[IV]).not.toBe(second.split('.')[IV]);
+  });
+
+  test.each([['iv', IV], ['tag', TAG], ['ciphertext', CIPHERTEXT]])('reject a changed %s', async (name, part) => {
+    const envelope = await encryptionService.encryptValue('secret text', key);
+    await expect(encryptionService.decryptValue(tamperPart(envelope, part), key)).rejects.toThrow();
+  });
+
+  test('reject the wrong key', async () => {
+    const envelope = await encryptionService.encryptValue('secret text', key);
+    await expect(encryptionService.decryptValue(envelope, encryptionService.generateDataKey())).rejects.toThrow();
+  });
+
+  test('reject unknown versions and algorithms', async () => {
+    const envelope = await encryptionService.encryptValue('secret text', key);
+    await expect(encryptionService.decryptValue(envelope.replace(/^v\d+/, 'v9'), key))
+      .rejects.toThrow('Unsupported encryption format');
+    await expect(encryptionService.decryptValue(envelope.replace('aes-256-gcm', 'aes-128-cbc'), key))
+      .rejects.toThrow('Unsupported encryption format');
+  });
+});
+
+describe('legacy CryptoJS ciphertext', () => {
+  const key = encryptionService.generateDataKey();
+  const legacy = CryptoJS.AES.encrypt('old note', key).toString();
+
+  afterEach(() => encryptionService.clearMasterKey());
+
+  test('decrypts with the hex key', async () => {
+    expect(encryptionService.isEnvelope(legacy)).toBe(false);
+    await expect(encryptionService.decryptValue(legacy, key)).resolves.toBe('old note');
+  });
+
+  test('decrypts with a legacy session key', async () => {
+    await encryptionService.setMasterKey(key, { legacy: true });
+    await expect(encryptionService.decryptValue(legacy)).resolves.toBe('old note');
+  });
+
+  test('needs the password when the session only has a CryptoKey', async () => {
+    await encryptionService.setMasterKey(key);
+    await expect(encryptionService.decryptValue(legacy)).rejects.toThrow('needs the encryption password');
+  });
+
+  test('decrypts legacy notes', async () => {
+    const note = {
+      id: 'n1',
+      userId: 'u1',
+      encrypted: true,
+      title: CryptoJS.AES.encrypt('Title', key).toString(),
+      content: CryptoJS.AES.encrypt('Content', key).toString(),
+      tags: CryptoJS.AES.encrypt('["a"]', key).toString()
+    };
+    await expect(encryptionService.decryptNote(note, key)).resolves.toMatchObject({
+      title: 'Title',
+      content: 'Content',
+      tags: ['a'],
+      checklist: null,
+      encrypted: false
+    });
+  });
+});
+
+describe('wrapped keys', () => {
+  const dataKey = encryptionService.generateDataKey();
+  const wrappingKey = encryptionService.generateDataKey();
+
+  test('unwrap with the wrapping key', async () => {
+    const wrapped = await encryptionService.wrapKey(dataKey, wrappingKey);
+    await expect(encryptionService.unwrapKey(wrapped, wrappingKey)).resolves.toBe(dataKey);
+  });
+
+  test('fail to unwrap with the wrong key', async () => {
+    const wrapped = await encryptionService.wrapKey(dataKey, wrappingKey);
+    await expect(encryptionService.unwrapKey(wrapped, encryptionService.generateDataKey())).rejects.toThrow();
+  });
+
+  test('reject values that are not envelopes', async () => {
+    await expect(encryptionService.unwrapKey(CryptoJS.AES.encrypt(dataKey, wrappingKey).toString(), wrappingKey))
+      .rejects.toThrow('Invalid wrapped key');
+  });
+});
+
+describe('recovery phrases', () => {
+  test('generate phrases that normalize to themselves', () => {
+    const phrase = encryptionService.generateRecoveryPhrase();
+    expect(phrase.split(' ')).toHaveLength(12);
+    expect(encryptionService.normalizeRecoveryPhrase(phrase)).toBe(phrase);
+  });
+
+  test('ignore case and extra whitespace', () => {
+    const phrase = encryptionService.generateRecoveryPhrase();
+    const typed = `  ${phrase.toUpperCase().split(' ').join(' \n\t ')}  `;
+    expect(encryptionService.normalizeRecoveryPhrase(typed)).toBe(phrase);
+  });
+
+  test('reject the wrong number of words', () => {
+    const words = encryptionService.generateRecoveryPhrase().split(' ');
+    expect(() => encryptionService.normalizeRecoveryPhrase(words.slice(1).join(' ')))
+      .toThrow('Recovery phrase must be 12 words');
+    expect(() => encryptionService.normalizeRecoveryPhrase('')).toThrow('Recovery phrase must be 12 words');
+  });
+
+  test('reject words that are not in the wordlist', () => {
+    const words = encryptionService.generateRecoveryPhrase().split(' ');
+    words[3] = 'notaword';
+    expect(() => encryptionService.normalizeRecoveryPhrase(words.join(' ')))
+      .toThrow('"notaword" is not a recovery phrase word');
+  });
+});
+
+describe('note binding', () => {
+  const key = encryptionService.generateDataKey();
+  const encrypt = (note) => encryptionService.encryptNote({ userId: 'u1', tags: [], ...note }, key);
+
+  test('round-trip a note at its next revision', async () => {
+    const note = await encrypt({ id: 'n1', title: 'Title', content: 'Content', tags: ['a'], revision: 4 });
+    expect(note.revision).toBe(5);
+    await expect(encryptionService.decryptNote(note, key)).resolves.toMatchObject({
+      title: 'Title',
+      content: 'Content',
+      tags: ['a'],
+      revision: 5
+    });
+  });
+
+  test('reject a field swapped in from another note', async () => {
+    const first = await encrypt({ id: 'n1', title: 'First', content: 'one' });
+    const second = await encrypt({ id: 'n2', title: 'Second', content: 'two' });
+    await expect(encryptionService.decryptNote({ ...first, content: second.content }, key))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('reject a note moved to another owner', async () => {
+    const note = await encrypt({ id: 'n1', title: 'Title', content: 'Content' });
+    await expect(encryptionService.decryptNote({ ...note, userId: 'u2' }, key))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('reject ciphertext swapped between fields', async () => {
+    const note = await encrypt({ id: 'n1', title: 'Title', content: 'Content' });
+    await expect(encryptionService.decryptNote({ ...note, title: note.content, content: note.title }, key))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('reject a changed revision', async () => {
+    const note = await encrypt({ id: 'n1', title: 'Title', content: 'Content' });
+    await expect(encryptionService.decryptNote({ ...note, revision: note.revision + 1 }, key))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('reject a rollback to an older revision', async () => {
+    const older = await encrypt({ id: 'n1', title: 'Old', content: 'Content' });
+    const newer = await encrypt({ ...(await encryptionService.decryptNote(older, key)), title: 'New' });
+    await expect(encryptionService.decryptNote(newer, key, { knownRevision: newer.revision }))
+      .resolves.toMatchObject({ title: 'New' });
+    await expect(encryptionService.decryptNote(older, key, { knownRevision: newer.revision }))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('reject unbound ciphertext once a bound revision is known', async () => {
+    const unbound = async (value) => (await encryptionService.encryptValue(value, key)).replace(/^v\d+/, 'v2');
+    const note = { id: 'n1', userId: 'u1', encrypted: true, title: await unbound('Title'), content: await unbound('Content') };
+    await expect(encryptionService.decryptNote(note, key)).resolves.toMatchObject({ title: 'Title' });
+    await expect(encryptionService.decryptNote(note, key, { knownRevision: 1 }))
+      .rejects.toMatchObject({ code: 'note-tampered' });
+  });
+
+  test('tell which notes are already bound under a key', async () => {
+    const note = await encrypt({ id: 'n1', title: 'Title', content: 'Content' });
+    await expect(encryptionService.isNoteEncryptedWithKey(key, note)).resolves.toBe(true);
+    await expect(encryptionService.isNoteEncryptedWithKey(encryptionService.generateDataKey(), note)).resolves.toBe(false);
+  });
+});
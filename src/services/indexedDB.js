@@ -1,5 +1,73 @@
 // src/services/indexedDB.js
 import Dexie from 'dexie';
+import {
+  SYNC_MAX_ATTEMPTS,
+  SYNC_RETRY_BASE_DELAY,
+  SYNC_RETRY_MAX_DELAY,
+  SYNC_HISTORY_LIMIT
+} from '../utils/constants';
+
+// The single queued operation equivalent to two for the same note, in order
+// (null when they cancel out)
+const combineActions = (first, next) => {
+  if (first === 'create') return next === 'delete' ? null : 'create';
+  if (first === 'delete') return next === 'create' ? 'create' : 'delete';
+  return next === 'delete' ? 'delete' : 'update';
+};
+
+// Collapse queued operations (in queue order) into at most one per note: the
+// last update wins, create+update is a create, create+delete drops both and
+// update+delete is a delete. The kept entry of each note is its first, so it
+// keeps its place in the queue and its retry state. Returns the entries whose
+// action changes ({ id, action }) and the ids of the entries to remove.
+export const coalesceOperations = (pending) => {
+  const keptByNote = new Map();
+  const removed = [];
+
+  for (const operation of pending) {
+    const kept = keptByNote.get(operation.noteId);
+    if (!kept) {
+      keptByNote.set(operation.noteId, { id: operation.id, action: operation.action, original: operation.action });
+      continue;
+    }
+
+    removed.push(operation.id);
+    kept.action = combineActions(kept.action, operation.action);
+    if (!kept.action) {
+      removed.push(kept.id);
+      keptByNote.delete(operation.noteId);
+    }
+  }
+
+  const changed = [...keptByNote.values()]
+    .filter(kept => kept.action !== kept.original)
+    .map(({ id, action }) => ({ id, action }));
+  return { changed, removed };
+};
+
+// Indexed fields derived from a cached note. IndexedDB can't index booleans,
+// so the trash state is kept as a 0/1 flag next to the note's trashedAt.
+const indexedFields = (note) => ({
+  revision: note.revision || 0,
+  trashed: note.trashedAt ? 1 : 0
+});
+
+// Bring a note row written by an older schema up to date (in place, and safe
+// to run twice). Used by the upgrade and when the database is rebuilt.
+const migrateNote = (note) => {
+  Object.assign(note, indexedFields(note));
+  if (!note.syncStatus) {
+    note.syncStatus = 'synced';
+  }
+  if (note.syncStatus === 'synced' && note.baseRevision === undefined) {
+    note.baseRevision = note.revision;
+  }
+};
+
+// Rows of each table that need rewriting to match the latest schema
+const ROW_MIGRATIONS = {
+  notes: migrateNote
+};
 
 class NotesDatabase extends Dexie {
   constructor() {
@@ -11,16 +79,143 @@ class NotesDatabase extends Dexie {
       encryptionKeys: 'userId, salt, timestamp'
     });
 
+    // Wrapped session keys, one per browser tab session
+    this.version(2).stores({
+      sessionKeys: 'sessionId, userId'
+    });
+
+    // Accounts signed in on this device, for offline sessions without Firebase auth
+    this.version(3).stores({
+      accounts: 'userId, lastSignedInAt'
+    });
+
+    // Both sides of notes edited on two devices at once, until the user resolves them
+    this.version(4).stores({
+      conflicts: 'noteId, userId'
+    });
+
+    // Delta sync cursor: the latest server updatedAt already applied locally
+    this.version(5).stores({
+      syncState: 'userId'
+    });
+
+    // Operations that ran out of retries, and a short log of synced ones
+    this.version(6).stores({
+      deadLetters: '++id, noteId, failedAt',
+      syncHistory: '++id, noteId, syncedAt'
+    });
+
+    // Stop indexing ciphertext (note titles and content, salts) and index what
+    // queries filter on: revisions, sync status and trash state per user.
+    // Tags are encrypted as one string per note, so they can't be indexed.
+    this.version(7).stores({
+      notes: 'id, userId, updatedAt, syncStatus, revision, [userId+syncStatus], [userId+trashed]',
+      encryptionKeys: 'userId'
+    }).upgrade(tx => tx.table('notes').toCollection().modify(migrateNote));
+
+    // Encrypted revision history of each note (pending until it reaches the server)
+    this.version(8).stores({
+      noteHistory: 'id, noteId, userId, [userId+syncStatus]'
+    });
+
+    // Record whose operation each queue, dead-letter and sync log entry is,
+    // so each account only replays and clears its own. Older entries take the
+    // owner of their cached note. Deletions of notes no longer cached can't be
+    // attributed and are dropped rather than replayed as whoever signs in
+    // next: the note just stays on the server.
+    this.version(9).stores({
+      pendingSync: '++id, noteId, userId, action, timestamp',
+      deadLetters: '++id, noteId, userId, failedAt',
+      syncHistory: '++id, noteId, userId, syncedAt'
+    }).upgrade(async tx => {
+      const owners = new Map();
+      await tx.table('notes').each(note => owners.set(note.id, note.userId));
+      for (const name of ['pendingSync', 'deadLetters', 'syncHistory']) {
+        await tx.table(name).toCollection().modify((entry, ref) => {
+          if (entry.userId) return;
+          if (owners.has(entry.noteId)) {
+            entry.userId = owners.get(entry.noteId);
+          } else {
+            delete ref.value;
+          }
+        });
+      }
+    });
+
     this.notes = this.table('notes');
     this.pendingSync = this.table('pendingSync');
     this.encryptionKeys = this.table('encryptionKeys');
+    this.sessionKeys = this.table('sessionKeys');
+    this.accounts = this.table('accounts');
+    this.conflicts = this.table('conflicts');
+    this.syncState = this.table('syncState');
+    this.deadLetters = this.table('deadLetters');
+    this.syncHistory = this.table('syncHistory');
+    this.noteHistory = this.table('noteHistory');
+
+    // Why the database can't be used right now (null when it can)
+    this.openIssue = null;
+    this.openIssueListeners = new Set();
+
+    // Another tab still has an older version open; the upgrade resumes once it closes
+    this.on('blocked', () => this.reportOpenIssue('blocked'));
+    // Another tab opened a newer version: Dexie closes this connection, so
+    // this tab has to reload
+    this.on('versionchange', () => this.reportOpenIssue('outdated'));
+    this.on('ready', () => this.reportOpenIssue(null), true);
+  }
+
+  reportOpenIssue(issue, error = null) {
+    this.openIssue = issue ? { issue, error } : null;
+    this.openIssueListeners.forEach(listener => listener(this.openIssue));
+  }
+
+  // Listen for open problems: { issue: 'blocked' | 'outdated' | 'upgrade-failed', error }
+  // or null once the database is open. Returns the unsubscribe function.
+  onOpenIssue(listener) {
+    this.openIssueListeners.add(listener);
+    listener(this.openIssue);
+    return () => this.openIssueListeners.delete(listener);
+  }
+
+  // Rebuild the database after a failed upgrade: read every row at the version
+  // on disk, recreate the database at the latest schema and write the rows
+  // back through the row migrations, so unsynced changes are kept
+  async rebuildDatabase() {
+    try {
+      const existing = new Dexie(this.name);
+      await existing.open();
+      const rows = {};
+      for (const table of existing.tables) {
+        rows[table.name] = await table.toArray();
+      }
+      existing.close();
+
+      await this.delete();
+      await this.open();
+
+      const tables = this.tables.filter(table => rows[table.name]);
+      await this.transaction('rw', tables, async () => {
+        for (const table of tables) {
+          const migrate = ROW_MIGRATIONS[table.name];
+          if (migrate) rows[table.name].forEach(migrate);
+          await table.bulkPut(rows[table.name]);
+        }
+      });
+      console.log('Rebuilt the local database');
+    } catch (error) {
+      console.error('Error rebuilding the local database:', error);
+      throw error;
+    }
   }
 
-  // Save note locally
+  // Save note locally (a copy that matches the server)
   async saveNoteLocally(note) {
     try {
       await this.notes.put({
         ...note,
+        ...indexedFields(note),
+        baseRevision: note.revision,
         syncStatus: 'synced',
         localUpdatedAt: new Date().toISOString()
       });
@@ -31,6 +226,23 @@ class NotesDatabase extends Dexie {
     }
   }
 
+  // Create a note locally and queue it for sync (offline creation)
+  async createNoteLocally(note) {
+    try {
+      await this.notes.put({
+        ...note,
+        ...indexedFields(note),
+        syncStatus: 'pending',
+        localUpdatedAt: new Date().toISOString()
+      });
+      await this.addToPendingSync(note.id, 'create', note.userId);
+      return note.id;
+    } catch (error) {
+      console.error('Error creating note locally:', error);
+      throw error;
+    }
+  }
+
   // Get all notes for a user
   async getLocalNotes(userId) {
     try {
@@ -46,17 +258,67 @@ class NotesDatabase extends Dexie {
     }
   }
 
+  // Notes that aren't in the trash, newest first
+  async getActiveNotes(userId) {
+    try {
+      return await this.notes
+        .where('[userId+trashed]')
+        .equals([userId, 0])
+        .reverse()
+        .sortBy('updatedAt');
+    } catch (error) {
+      console.error('Error getting active notes:', error);
+      throw error;
+    }
+  }
+
+  // Notes in the trash, most recently trashed first
+  async getTrashedNotes(userId) {
+    try {
+      return await this.notes
+        .where('[userId+trashed]')
+        .equals([userId, 1])
+        .reverse()
+        .sortBy('trashedAt');
+    } catch (error) {
+      console.error('Error getting trashed notes:', error);
+      throw error;
+    }
+  }
+
+  // Latest synced revision of each cached note, to spot server rollbacks
+  async getKnownRevisions(userId) {
+    try {
+      const notes = await this.notes.where('[userId+syncStatus]').equals([userId, 'synced']).toArray();
+      return notes.reduce((revisions, note) => {
+        if (note.revision) {
+          revisions[note.id] = note.revision;
+        }
+        return revisions;
+      }, {});
+    } catch (error) {
+      console.error('Error getting known revisions:', error);
+      throw error;
+    }
+  }
+
   // Update note locally
   async updateNoteLocally(noteId, updates) {
     try {
+      // Remember the server revision the offline edits started from
+      const existing = await this.notes.get(noteId);
+      const baseRevision = existing ? existing.baseRevision ?? existing.revision : undefined;
+
       await this.notes.update(noteId, {
         ...updates,
+        ...indexedFields({ ...existing, ...updates }),
+        baseRevision,
         syncStatus: 'pending',
         localUpdatedAt: new Date().toISOString()
       });
       
       // Add to pending sync
-      await this.addToPendingSync(noteId, 'update');
+      await this.addToPendingSync(noteId, 'update', existing ? existing.userId : undefined);
     } catch (error) {
       console.error('Error updating note locally:', error);
       throw error;
@@ -66,19 +328,42 @@ class NotesDatabase extends Dexie {
   // Delete note locally
   async deleteNoteLocally(noteId) {
     try {
+      const existing = await this.notes.get(noteId);
       await this.notes.delete(noteId);
-      await this.addToPendingSync(noteId, 'delete');
+      await this.addToPendingSync(noteId, 'delete', existing ? existing.userId : undefined);
     } catch (error) {
       console.error('Error deleting note locally:', error);
       throw error;
     }
   }
 
-  // Add operation to pending sync queue
-  async addToPendingSync(noteId, action) {
+  // Drop a note the server already deleted from the cache, along with any
+  // operations still queued for it - there is nothing left to sync
+  async removeNoteLocally(noteId) {
+    try {
+      await this.transaction('rw', this.notes, this.pendingSync, this.deadLetters, async () => {
+        await this.notes.delete(noteId);
+        await this.pendingSync.where('noteId').equals(noteId).delete();
+        await this.deadLetters.where('noteId').equals(noteId).delete();
+      });
+    } catch (error) {
+      console.error('Error removing note locally:', error);
+      throw error;
+    }
+  }
+
+  // Add operation to pending sync queue. Operations on notes that aren't
+  // cached have no known owner, so they aren't queued.
+  async addToPendingSync(noteId, action, userId) {
+    if (!userId) {
+      console.warn(`Not queueing ${action} of note ${noteId}: owner unknown`);
+      return;
+    }
+
     try {
       await this.pendingSync.add({
         noteId,
+        userId,
         action,
         timestamp: new Date().toISOString()
       });
@@ -88,10 +373,10 @@ class NotesDatabase extends Dexie {
     }
   }
 
-  // Get pending sync operations
-  async getPendingSync() {
+  // Get a user's pending sync operations, in queue order
+  async getPendingSync(userId) {
     try {
-      return await this.pendingSync.toArray();
+      return await this.pendingSync.where('userId').equals(userId).sortBy('id');
     } catch (error) {
       console.error('Error getting pending sync:', error);
       throw error;
@@ -108,16 +393,19 @@ class NotesDatabase extends Dexie {
     }
   }
 
-  // Save encryption salt locally
-  async saveEncryptionSalt(userId, salt) {
+  // Save encryption salt, KDF parameters, key check and wrapped data key locally
+  async saveEncryptionData(userId, { salt, kdf = null, keyCheck = null, wrappedKey = null }) {
     try {
       await this.encryptionKeys.put({
         userId,
         salt,
+        kdf,
+        keyCheck,
+        wrappedKey,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      console.error('Error saving encryption salt:', error);
+      console.error('Error saving encryption data:', error);
       throw error;
     }
   }
@@ -133,18 +421,309 @@ class NotesDatabase extends Dexie {
     }
   }
 
+  // Get cached encryption data (for offline unlock)
+  async getEncryptionData(userId) {
+    try {
+      const key = await this.encryptionKeys.get(userId);
+      return key ? {
+        salt: key.salt,
+        kdf: key.kdf || null,
+        keyCheck: key.keyCheck || null,
+        wrappedKey: key.wrappedKey || null,
+        keyRotation: key.keyRotation || null
+      } : null;
+    } catch (error) {
+      console.error('Error getting encryption data:', error);
+      throw error;
+    }
+  }
+
+  // Record an in-progress note re-encryption next to the cached salt
+  async saveKeyRotation(userId, keyRotation) {
+    try {
+      await this.encryptionKeys.update(userId, { keyRotation });
+    } catch (error) {
+      console.error('Error saving key rotation:', error);
+      throw error;
+    }
+  }
+
+  // Save a wrapped session key (CryptoKeys are stored as-is, never as raw bytes)
+  async saveSessionKey(sessionId, userId, { wrappingKey, wrappedKey, iv }) {
+    try {
+      await this.sessionKeys.put({
+        sessionId,
+        userId,
+        wrappingKey,
+        wrappedKey,
+        iv,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving session key:', error);
+      throw error;
+    }
+  }
+
+  // Get the wrapped session key for a tab session
+  async getSessionKey(sessionId, userId) {
+    try {
+      const session = await this.sessionKeys.get(sessionId);
+      return session && session.userId === userId ? session : null;
+    } catch (error) {
+      console.error('Error getting session key:', error);
+      throw error;
+    }
+  }
+
+  // Delete the wrapped session key for a tab session
+  async clearSessionKey(sessionId) {
+    try {
+      await this.sessionKeys.delete(sessionId);
+    } catch (error) {
+      console.error('Error clearing session key:', error);
+      throw error;
+    }
+  }
+
+  // Remember the signed-in account so it can be unlocked offline later
+  async saveAccount({ uid, email, displayName = null }) {
+    try {
+      await this.accounts.put({
+        userId: uid,
+        email,
+        displayName,
+        lastSignedInAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving account:', error);
+      throw error;
+    }
+  }
+
+  // Get the account that signed in most recently on this device
+  async getLastAccount() {
+    try {
+      return (await this.accounts.orderBy('lastSignedInAt').last()) || null;
+    } catch (error) {
+      console.error('Error getting last account:', error);
+      throw error;
+    }
+  }
+
+  // Keep both versions of a conflicting note (still encrypted)
+  async saveConflict(userId, local, remote) {
+    try {
+      await this.transaction('rw', this.conflicts, this.notes, async () => {
+        await this.conflicts.put({
+          noteId: local.id,
+          userId,
+          local,
+          remote,
+          detectedAt: new Date().toISOString()
+        });
+        await this.notes.update(local.id, { syncStatus: 'conflict' });
+      });
+    } catch (error) {
+      console.error('Error saving conflict:', error);
+      throw error;
+    }
+  }
+
+  // Get the open conflict for a note
+  async getConflict(noteId) {
+    try {
+      return (await this.conflicts.get(noteId)) || null;
+    } catch (error) {
+      console.error('Error getting conflict:', error);
+      throw error;
+    }
+  }
+
+  // Get the ids of all notes with an open conflict
+  async getConflictIds(userId) {
+    try {
+      return await this.conflicts.where('userId').equals(userId).primaryKeys();
+    } catch (error) {
+      console.error('Error getting conflicts:', error);
+      throw error;
+    }
+  }
+
+  // Store the resolved note as synced and drop the conflict, along with any
+  // queued writes of the old local version
+  async settleConflict(note) {
+    try {
+      await this.transaction('rw', this.conflicts, this.notes, this.pendingSync, async () => {
+        await this.notes.put({
+          ...note,
+          ...indexedFields(note),
+          baseRevision: note.revision,
+          syncStatus: 'synced',
+          localUpdatedAt: new Date().toISOString()
+        });
+        await this.conflicts.delete(note.id);
+        await this.pendingSync.where('noteId').equals(note.id).delete();
+      });
+    } catch (error) {
+      console.error('Error settling conflict:', error);
+      throw error;
+    }
+  }
+
+  // Store revision history entries (syncStatus 'pending' or 'synced')
+  async saveHistoryEntries(entries) {
+    try {
+      await this.noteHistory.bulkPut(entries);
+    } catch (error) {
+      console.error('Error saving history entries:', error);
+      throw error;
+    }
+  }
+
+  // Revision history of a note, oldest first
+  async getNoteHistory(noteId) {
+    try {
+      return await this.noteHistory.where('noteId').equals(noteId).sortBy('savedAt');
+    } catch (error) {
+      console.error('Error getting note history:', error);
+      throw error;
+    }
+  }
+
+  // History entries saved offline that haven't reached the server yet
+  async getPendingHistory(userId) {
+    try {
+      return await this.noteHistory.where('[userId+syncStatus]').equals([userId, 'pending']).toArray();
+    } catch (error) {
+      console.error('Error getting pending history:', error);
+      throw error;
+    }
+  }
+
+  async markHistorySynced(ids) {
+    try {
+      await this.noteHistory.where('id').anyOf(ids).modify({ syncStatus: 'synced' });
+    } catch (error) {
+      console.error('Error marking history synced:', error);
+      throw error;
+    }
+  }
+
+  async deleteHistoryEntries(ids) {
+    try {
+      await this.noteHistory.bulkDelete(ids);
+    } catch (error) {
+      console.error('Error deleting history entries:', error);
+      throw error;
+    }
+  }
+
+  // Drop the whole history of a note (when it is deleted for good)
+  async deleteNoteHistory(noteId) {
+    try {
+      await this.noteHistory.where('noteId').equals(noteId).delete();
+    } catch (error) {
+      console.error('Error deleting note history:', error);
+      throw error;
+    }
+  }
+
+  // Get the delta sync cursor (null before the first sync)
+  async getSyncCursor(userId) {
+    try {
+      const state = await this.syncState.get(userId);
+      return state ? state.cursor : null;
+    } catch (error) {
+      console.error('Error getting sync cursor:', error);
+      throw error;
+    }
+  }
+
+  // Apply notes and tombstones fetched from the server, then move the cursor.
+  // Notes with local changes are left alone - the push (or the conflict view)
+  // reconciles them - and a cached revision never goes backwards.
+  async applyServerChanges(userId, changes, cursor) {
+    try {
+      await this.transaction('rw', this.notes, this.syncState, async () => {
+        const locals = await this.notes.bulkGet(changes.map(note => note.id));
+        const updated = [];
+        const deleted = [];
+
+        changes.forEach((note, index) => {
+          const local = locals[index];
+          if (local && local.syncStatus !== 'synced') return;
+
+          if (note.deleted) {
+            if (local) deleted.push(note.id);
+          } else if (local && (note.revision || 0) < (local.revision || 0)) {
+            console.warn(`Ignoring older server revision of note ${note.id}`);
+          } else {
+            updated.push({
+              ...note,
+              ...indexedFields(note),
+              baseRevision: note.revision,
+              syncStatus: 'synced',
+              localUpdatedAt: new Date().toISOString()
+            });
+          }
+        });
+
+        await this.notes.bulkPut(updated);
+        await this.notes.bulkDelete(deleted);
+        // A pull and the live listener may overlap - keep the later cursor
+        const state = await this.syncState.get(userId);
+        if (!state || !state.cursor || (cursor && cursor > state.cursor)) {
+          await this.syncState.put({ userId, cursor });
+        }
+      });
+    } catch (error) {
+      console.error('Error applying server changes:', error);
+      throw error;
+    }
+  }
+
   // Clear all local data for a user (on logout)
   async clearUserData(userId) {
     try {
-      await this.transaction('rw', this.notes, this.pendingSync, this.encryptionKeys, async () => {
+      const tables = [
+        this.notes,
+        this.pendingSync,
+        this.encryptionKeys,
+        this.sessionKeys,
+        this.accounts,
+        this.conflicts,
+        this.syncState,
+        this.deadLetters,
+        this.syncHistory,
+        this.noteHistory
+      ];
+      await this.transaction('rw', tables, async () => {
         // Delete all notes for this user
         await this.notes.where('userId').equals(userId).delete();
         
-        // Clear pending sync
-        await this.pendingSync.clear();
+        // Clear this account's pending sync, failed operations and sync log
+        await this.pendingSync.where('userId').equals(userId).delete();
+        await this.deadLetters.where('userId').equals(userId).delete();
+        await this.syncHistory.where('userId').equals(userId).delete();
         
         // Clear encryption keys
         await this.encryptionKeys.where('userId').equals(userId).delete();
+
+        // Clear wrapped session keys from every tab
+        await this.sessionKeys.where('userId').equals(userId).delete();
+
+        // Forget the account for offline sessions
+        await this.accounts.delete(userId);
+
+        // Drop unresolved conflicts
+        await this.conflicts.where('userId').equals(userId).delete();
+
+        // Start the next sign-in with a full sync
+        await this.syncState.delete(userId);
+
+        // Drop the cached revision history
+        await this.noteHistory.where('userId').equals(userId).delete();
       });
     } catch (error) {
       console.error('Error clearing user data:', error);
@@ -152,29 +731,53 @@ class NotesDatabase extends Dexie {
     }
   }
 
-  // Sync local changes with Firebase
-  async syncWithFirebase(syncFunction) {
+  // Replay a user's queue in order with syncFunction, which returns the
+  // synced note's id. Other accounts' entries wait for their own sign-in. Each entry is removed only after the server confirmed it, and
+  // replay stops at the first failure so later changes can't overtake it.
+  // A failed entry is retried with exponential backoff; after
+  // SYNC_MAX_ATTEMPTS it moves to the dead-letter table and replay goes on.
+  async syncWithFirebase(userId, syncFunction) {
     try {
-      const pending = await this.getPendingSync();
-      const syncedIds = [];
+      await this.coalescePendingSync(userId);
+      const pending = await this.getPendingSync(userId);
+      const now = Date.now();
+      let synced = 0;
+      let deadLettered = 0;
 
       for (const operation of pending) {
+        if (operation.nextAttemptAt && operation.nextAttemptAt > now) break;
+
         try {
-          await syncFunction(operation);
-          syncedIds.push(operation.id);
+          const noteId = (await syncFunction(operation)) || operation.noteId;
+          await this.pendingSync.delete(operation.id);
+          await this.markNoteSynced(noteId);
+          await this.addSyncHistory({ ...operation, noteId });
+          synced++;
         } catch (error) {
           console.error(`Failed to sync operation ${operation.id}:`, error);
-        }
-      }
+          const attempts = (operation.attempts || 0) + 1;
+
+          if (attempts >= SYNC_MAX_ATTEMPTS) {
+            await this.moveToDeadLetters(operation, attempts, error);
+            deadLettered++;
+            continue;
+          }
 
-      if (syncedIds.length > 0) {
-        await this.clearPendingSync(syncedIds);
+          const delay = Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (attempts - 1), SYNC_RETRY_MAX_DELAY);
+          await this.pendingSync.update(operation.id, {
+            attempts,
+            lastError: error.message || String(error),
+            nextAttemptAt: now + delay
+          });
+          break;
+        }
       }
 
       return {
         total: pending.length,
-        synced: syncedIds.length,
-        failed: pending.length - syncedIds.length
+        synced,
+        deadLettered,
+        failed: pending.length - synced
       };
     } catch (error) {
       console.error('Error during sync:', error);
@@ -182,13 +785,279 @@ class NotesDatabase extends Dexie {
     }
   }
 
-  // Check if database is available
+  // Collapse a user's queued operations of each note into at most one (see
+  // coalesceOperations). The queue holds no payload (the latest note is in
+  // the cache), so nothing is lost.
+  async coalescePendingSync(userId) {
+    try {
+      return await this.transaction('rw', this.pendingSync, async () => {
+        const pending = await this.pendingSync.where('userId').equals(userId).sortBy('id');
+        const { changed, removed } = coalesceOperations(pending);
+
+        for (const { id, action } of changed) {
+          await this.pendingSync.update(id, { action });
+        }
+        await this.pendingSync.bulkDelete(removed);
+
+        return removed.length;
+      });
+    } catch (error) {
+      console.error('Error coalescing pending sync:', error);
+      throw error;
+    }
+  }
+
+  // Give up on an operation: keep it with the reason in the dead-letter table,
+  // and flag the note so it isn't queued again on its own
+  async moveToDeadLetters(operation, attempts, error) {
+    try {
+      await this.transaction('rw', this.pendingSync, this.deadLetters, this.notes, async () => {
+        const { id, nextAttemptAt, ...entry } = operation;
+        await this.deadLetters.add({
+          ...entry,
+          attempts,
+          error: error.message || String(error),
+          failedAt: new Date().toISOString()
+        });
+        await this.pendingSync.delete(id);
+        await this.notes.update(operation.noteId, { syncStatus: 'failed' });
+      });
+    } catch (dbError) {
+      console.error('Error moving operation to dead letters:', dbError);
+      throw dbError;
+    }
+  }
+
+  // Log a synced operation, keeping the latest SYNC_HISTORY_LIMIT entries of
+  // each user (so one account's activity doesn't push out another's)
+  async addSyncHistory(operation) {
+    try {
+      await this.syncHistory.add({
+        noteId: operation.noteId,
+        userId: operation.userId,
+        action: operation.action,
+        syncedAt: new Date().toISOString()
+      });
+
+      const count = await this.syncHistory.where('userId').equals(operation.userId).count();
+      if (count > SYNC_HISTORY_LIMIT) {
+        const entries = await this.syncHistory.where('userId').equals(operation.userId).sortBy('syncedAt');
+        await this.syncHistory.bulkDelete(entries.slice(0, count - SYNC_HISTORY_LIMIT).map(entry => entry.id));
+      }
+    } catch (error) {
+      console.error('Error adding sync history:', error);
+      throw error;
+    }
+  }
+
+  // A user's queued, failed and recently synced operations, for the sync panel
+  async getSyncActivity(userId) {
+    try {
+      const [queued, failed, synced] = await Promise.all([
+        this.pendingSync.where('userId').equals(userId).sortBy('id'),
+        this.deadLetters.where('userId').equals(userId).sortBy('id'),
+        this.syncHistory.where('userId').equals(userId).reverse().sortBy('syncedAt')
+      ]);
+      return { queued, failed, synced };
+    } catch (error) {
+      console.error('Error getting sync activity:', error);
+      throw error;
+    }
+  }
+
+  // Count a user's operations that ran out of retries
+  async getDeadLetterCount(userId) {
+    try {
+      return await this.deadLetters.where('userId').equals(userId).count();
+    } catch (error) {
+      console.error('Error counting dead letters:', error);
+      throw error;
+    }
+  }
+
+  // Queue a note's failed operations again with fresh attempts, and retry its
+  // queued ones right away
+  async retryNoteSync(noteId) {
+    try {
+      await this.transaction('rw', this.pendingSync, this.deadLetters, this.notes, async () => {
+        await this.pendingSync.where('noteId').equals(noteId).modify(operation => {
+          delete operation.nextAttemptAt;
+        });
+
+        const failed = await this.deadLetters.where('noteId').equals(noteId).sortBy('id');
+        for (const { id, attempts, error, failedAt, ...operation } of failed) {
+          await this.pendingSync.add({ ...operation, attempts: 0 });
+        }
+        await this.deadLetters.where('noteId').equals(noteId).delete();
+
+        await this.notes
+          .where('id')
+          .equals(noteId)
+          .and(note => note.syncStatus === 'failed')
+          .modify({ syncStatus: 'pending' });
+      });
+    } catch (error) {
+      console.error('Error retrying note sync:', error);
+      throw error;
+    }
+  }
+
+  // Drop every unsynced change to a note and cache serverNote in its place
+  // (null when the server doesn't have the note)
+  async discardNoteChanges(noteId, serverNote) {
+    try {
+      await this.transaction('rw', this.pendingSync, this.deadLetters, this.notes, async () => {
+        await this.pendingSync.where('noteId').equals(noteId).delete();
+        await this.deadLetters.where('noteId').equals(noteId).delete();
+
+        if (serverNote) {
+          await this.notes.put({
+            ...serverNote,
+            ...indexedFields(serverNote),
+            baseRevision: serverNote.revision,
+            syncStatus: 'synced',
+            localUpdatedAt: new Date().toISOString()
+          });
+        } else {
+          await this.notes.delete(noteId);
+        }
+      });
+    } catch (error) {
+      console.error('Error discarding note changes:', error);
+      throw error;
+    }
+  }
+
+  // Count a user's queued operations
+  async getPendingCount(userId) {
+    try {
+      return await this.pendingSync.where('userId').equals(userId).count();
+    } catch (error) {
+      console.error('Error counting pending sync:', error);
+      throw error;
+    }
+  }
+
+  // Retry a user's queued operations now instead of waiting out their backoff
+  async clearSyncBackoff(userId) {
+    try {
+      await this.pendingSync.where('userId').equals(userId).modify(operation => {
+        delete operation.nextAttemptAt;
+      });
+    } catch (error) {
+      console.error('Error clearing sync backoff:', error);
+      throw error;
+    }
+  }
+
+  // Notes of a user with changes the server doesn't have yet: queued or failed
+  // operations, notes still flagged pending or failed, unresolved conflicts and
+  // revisions recorded offline. Returns [{ noteId, note, reasons }], note being
+  // the cached copy (null for deletions) and reasons any of 'queued',
+  // 'failed', 'conflict', 'history'.
+  async getUnsyncedNotes(userId) {
+    try {
+      const [queued, failed, flagged, conflicts, history] = await Promise.all([
+        this.pendingSync.where('userId').equals(userId).toArray(),
+        this.deadLetters.where('userId').equals(userId).toArray(),
+        this.notes
+          .where('[userId+syncStatus]')
+          .anyOf([[userId, 'pending'], [userId, 'failed']])
+          .toArray(),
+        this.conflicts.where('userId').equals(userId).toArray(),
+        this.getPendingHistory(userId)
+      ]);
+
+      const byNote = new Map();
+      const add = (noteId, reason) => {
+        if (!byNote.has(noteId)) byNote.set(noteId, new Set());
+        byNote.get(noteId).add(reason);
+      };
+
+      queued.forEach(operation => add(operation.noteId, 'queued'));
+      failed.forEach(operation => add(operation.noteId, 'failed'));
+      flagged.forEach(note => add(note.id, note.syncStatus === 'failed' ? 'failed' : 'queued'));
+      conflicts.forEach(conflict => add(conflict.noteId, 'conflict'));
+      history.forEach(entry => add(entry.noteId, 'history'));
+
+      const notes = await this.notes.bulkGet([...byNote.keys()]);
+      return [...byNote.entries()].map(([noteId, reasons], index) => ({
+        noteId,
+        note: notes[index] || null,
+        reasons: [...reasons]
+      }));
+    } catch (error) {
+      console.error('Error getting unsynced notes:', error);
+      throw error;
+    }
+  }
+
+  // Mark a note synced once nothing is left in the queue for it
+  async markNoteSynced(noteId) {
+    try {
+      const remaining = await this.pendingSync.where('noteId').equals(noteId).count();
+      if (remaining === 0) {
+        // Notes left in conflict stay flagged until they are resolved
+        await this.notes
+          .where('id')
+          .equals(noteId)
+          .and(note => note.syncStatus === 'pending')
+          .modify(note => {
+            note.syncStatus = 'synced';
+            note.baseRevision = note.revision;
+          });
+      }
+    } catch (error) {
+      console.error('Error marking note synced:', error);
+      throw error;
+    }
+  }
+
+  // Move a note to a new id, along with its queued operations
+  async remapNoteId(oldId, note) {
+    try {
+      await this.transaction('rw', this.notes, this.pendingSync, async () => {
+        await this.notes.delete(oldId);
+        await this.notes.put({
+          ...note,
+          ...indexedFields(note),
+          syncStatus: 'pending',
+          localUpdatedAt: new Date().toISOString()
+        });
+        await this.pendingSync.where('noteId').equals(oldId).modify({ noteId: note.id });
+      });
+    } catch (error) {
+      console.error('Error remapping note id:', error);
+      throw error;
+    }
+  }
+
+  // Queue notes that are pending but have nothing queued (notes created
+  // offline by older versions were never added to the queue)
+  async queueUnsyncedNotes(userId, isTemporaryId) {
+    try {
+      const notes = await this.notes.where('[userId+syncStatus]').equals([userId, 'pending']).toArray();
+      for (const note of notes) {
+        const queued = await this.pendingSync.where('noteId').equals(note.id).count();
+        if (queued === 0) {
+          await this.addToPendingSync(note.id, isTemporaryId(note.id) ? 'create' : 'update', userId);
+        }
+      }
+    } catch (error) {
+      console.error('Error queueing unsynced notes:', error);
+      throw error;
+    }
+  }
+
+  // Check if database is available (opening and upgrading it if needed)
   async isAvailable() {
     try {
       await this.open();
       return true;
     } catch (error) {
       console.error('IndexedDB not available:', error);
+      // A VersionError means a newer version of the app already upgraded it
+      this.reportOpenIssue(error.name === 'VersionError' ? 'outdated' : 'upgrade-failed', error);
       return false;
     }
   }
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import { runInThisContext } from 'vm';
+import notesDB, { coalesceOperations } from './indexedDB';
+import { SYNC_HISTORY_LIMIT } from '../utils/constants';
+
+// fake-indexeddb clones values like the browser does
+global.structuredClone = global.structuredClone || runInThisContext('structuredClone');
+
+const queue = (...entries) => entries.map(([noteId, action], index) => ({ id: index + 1, noteId, action }));
+
+describe('coalesceOperations', () => {
+  test('keeps a lone operation as it is', () => {
+    expect(coalesceOperations(queue(['a', 'update']))).toEqual({ changed: [], removed: [] });
+  });
+
+  test('folds later updates into a create', () => {
+    expect(coalesceOperations(queue(['a', 'create'], ['a', 'update'], ['a', 'update'])))
+      .toEqual({ changed: [], removed: [2, 3] });
+  });
+
+  test('keeps the first of several updates', () => {
+    expect(coalesceOperations(queue(['a', 'update'], ['a', 'update'])))
+      .toEqual({ changed: [], removed: [2] });
+  });
+
+  test('drops a note created and deleted before it synced', () => {
+    expect(coalesceOperations(queue(['a', 'create'], ['a', 'update'], ['a', 'delete'])))
+      .toEqual({ changed: [], removed: [2, 3, 1] });
+  });
+
+  test('turns an update followed by a delete into a delete in the update\'s place', () => {
+    expect(coalesceOperations(queue(['a', 'update'], ['a', 'delete'])))
+      .toEqual({ changed: [{ id: 1, action: 'delete' }], removed: [2] });
+  });
+
+  test('turns a delete followed by a create into a create', () => {
+    expect(coalesceOperations(queue(['a', 'delete'], ['a', 'create'])))
+      .toEqual({ changed: [{ id: 1, action: 'create' }], removed: [2] });
+  });
+
+  test('starts over after a create and delete cancel out', () => {
+    expect(coalesceOperations(queue(['a', 'create'], ['a', 'delete'], ['a', 'create'], ['a', 'update'])))
+      .toEqual({ changed: [], removed: [2, 1, 4] });
+  });
+
+  test('coalesces each note on its own', () => {
+    const result = coalesceOperations(queue(
+      ['a', 'create'],
+      ['b', 'update'],
+      ['a', 'update'],
+      ['c', 'update'],
+      ['b', 'delete'],
+      ['c', 'update']
+    ));
+    expect(result).toEqual({ changed: [{ id: 2, action: 'delete' }], removed: [3, 5, 6] });
+  });
+});
+
+describe('addSyncHistory', () => {
+  test("keeps each user's latest entries", async () => {
+    for (let i = 0; i < 3; i++) {
+      await notesDB.addSyncHistory({ noteId: `other${i}`, userId: 'u2', action: 'update' });
+    }
+    for (let i = 0; i < SYNC_HISTORY_LIMIT + 5; i++) {
+      await notesDB.addSyncHistory({ noteId: `note${i}`, userId: 'u1', action: 'update' });
+    }
+
+    const { synced } = await notesDB.getSyncActivity('u1');
+    expect(synced).toHaveLength(SYNC_HISTORY_LIMIT);
+    expect(synced.map(entry => entry.noteId)).not.toContain('note4');
+    expect(synced.map(entry => entry.noteId)).toContain('note5');
+    expect((await notesDB.getSyncActivity('u2')).synced).toHaveLength(3);
+  });
+});
+
+describe('getUnsyncedNotes', () => {
+  test('counts revisions recorded offline', async () => {
+    await notesDB.saveHistoryEntries([
+      { id: 'h1', noteId: 'n1', userId: 'u1', savedAt: '2026-03-10T12:00:00.000Z', syncStatus: 'pending' },
+      { id: 'h2', noteId: 'n2', userId: 'u1', savedAt: '2026-03-10T12:00:00.000Z', syncStatus: 'synced' },
+      { id: 'h3', noteId: 'n3', userId: 'u2', savedAt: '2026-03-10T12:00:00.000Z', syncStatus: 'pending' }
+    ]);
+
+    await expect(notesDB.getUnsyncedNotes('u1')).resolves.toEqual([
+      { noteId: 'n1', note: null, reasons: ['history'] }
+    ]);
+
+    await notesDB.markHistorySynced(['h1']);
+    await expect(notesDB.getUnsyncedNotes('u1')).resolves.toEqual([]);
+  });
+});
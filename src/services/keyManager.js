@@ -0,0 +1,444 @@
+// src/services/keyManager.js
+import {
+  getNotes,
+  getUserEncryptionData,
+  saveUserEncryptionData,
+  saveUserRecoveryData
+} from './backend';
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+import { migrateToWrappedKey, resumeKeyRotation, bindNoteEncryption } from './keyRotation';
+import {
+  PBKDF2_KDF,
+  SCRYPT_KDF,
+  DEFAULT_KDF,
+  LEGACY_KDF,
+  DEFAULT_AUTO_LOCK_MINUTES
+} from '../utils/constants';
+import { bytesToHex } from '../utils/helpers';
+
+export const WRONG_PASSWORD_MESSAGE = 'Incorrect encryption password. Please try again.';
+
+// sessionStorage only holds an id for this tab - never key material
+const SESSION_ID_KEY = 'sessionId';
+const AUTO_LOCK_KEY = 'autoLockMinutes';
+
+// Get (or start) the id that ties this tab to its wrapped session key
+const getSessionId = () => {
+  let sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  if (!sessionId) {
+    sessionId = bytesToHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+// Set the key for this session and keep a wrapped copy in IndexedDB so a
+// page refresh stays unlocked
+const activateKey = async (userId, key, { legacy = false } = {}) => {
+  await encryptionService.setMasterKey(key, { legacy });
+
+  const sessionId = getSessionId();
+  try {
+    if (legacy) {
+      // Legacy CryptoJS notes need the raw key, which is only kept in memory
+      await notesDB.clearSessionKey(sessionId);
+    } else {
+      await notesDB.saveSessionKey(sessionId, userId, await encryptionService.wrapSessionKey(key));
+    }
+  } catch (error) {
+    console.warn('Could not store session key - unlock again after a refresh:', error);
+  }
+};
+
+// Restore the key after a page refresh; returns false if this tab has no session
+export const restoreSession = async (userId) => {
+  // Older versions kept the raw key here
+  sessionStorage.removeItem('encKey');
+
+  const sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  if (!sessionId) {
+    return false;
+  }
+
+  try {
+    const session = await notesDB.getSessionKey(sessionId, userId);
+    if (!session) {
+      return false;
+    }
+    await encryptionService.setMasterKey(await encryptionService.unwrapSessionKey(session));
+    console.log('Encryption key restored from session');
+    return true;
+  } catch (error) {
+    console.error('Could not restore session key:', error);
+    return false;
+  }
+};
+
+// Forget the key for this tab (lock, logout or sign-out elsewhere)
+export const endSession = async () => {
+  encryptionService.clearMasterKey();
+
+  const sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  sessionStorage.removeItem(SESSION_ID_KEY);
+  if (sessionId) {
+    try {
+      await notesDB.clearSessionKey(sessionId);
+    } catch (error) {
+      console.warn('Could not clear session key:', error);
+    }
+  }
+};
+
+// Load encryption data from Firestore, falling back to the local copy
+// when Firestore can't be reached
+const loadEncryptionData = async (userId) => {
+  try {
+    return await getUserEncryptionData(userId);
+  } catch (error) {
+    console.warn('Firestore unavailable - using locally cached encryption data');
+    return notesDB.getEncryptionData(userId);
+  }
+};
+
+// Check a derived key against the user's existing notes (local cache first)
+const verifyKeyWithNotes = async (userId, key) => {
+  let notes = await notesDB.getLocalNotes(userId);
+  if (notes.length === 0 && navigator.onLine) {
+    notes = await getNotes(userId);
+  }
+
+  const encryptedNotes = notes.filter(note => note.encrypted).slice(0, 3);
+  if (encryptedNotes.length === 0) {
+    // Nothing encrypted yet, so any password is fine
+    return true;
+  }
+
+  for (const note of encryptedNotes) {
+    if (await encryptionService.validateKeyWithNote(key, note)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Create the key hierarchy for a new account: a random data key that
+// encrypts the notes, wrapped by a key derived from the password
+export const setupAccountKeys = async (userId, password, kdf = DEFAULT_KDF) => {
+  const { key: passwordKey, salt } = await encryptionService.deriveKeyFromPassword(
+    password,
+    null,
+    kdf
+  );
+  const dataKey = encryptionService.generateDataKey();
+
+  const encryptionData = {
+    salt,
+    kdf,
+    keyCheck: await encryptionService.createTestString(passwordKey),
+    wrappedKey: await encryptionService.wrapKey(dataKey, passwordKey)
+  };
+
+  await saveUserEncryptionData(userId, encryptionData);
+  await notesDB.saveEncryptionData(userId, encryptionData);
+
+  await activateKey(userId, dataKey);
+  return dataKey;
+};
+
+// Unlock the data key with the encryption password and set it for this session.
+// Finishes interrupted re-encryptions and migrates direct-key accounts on the way.
+export const unlockWithPassword = async (userId, password) => {
+  let encryptionData = await loadEncryptionData(userId);
+
+  if (!encryptionData) {
+    // First time login - create encryption keys
+    console.log('First time login - generating encryption keys');
+    return setupAccountKeys(userId, password);
+  }
+
+  if (encryptionData.keyRotation) {
+    // A re-encryption was interrupted - finish it first
+    if (!navigator.onLine) {
+      throw new Error('Your encryption key update was interrupted. Reconnect to finish it.');
+    }
+
+    const key = await resumeKeyRotation(userId, encryptionData, password);
+    if (!key) {
+      throw new Error(WRONG_PASSWORD_MESSAGE);
+    }
+    if (encryptionData.keyRotation.wrappedKey) {
+      await activateKey(userId, key);
+      return key;
+    }
+
+    // An older password change finished on the direct-key scheme
+    encryptionData = await getUserEncryptionData(userId);
+  }
+
+  const { salt, wrappedKey, kdf } = encryptionData;
+  const { key: passwordKey } = await encryptionService.deriveKeyFromPassword(password, salt, kdf);
+
+  let { keyCheck } = encryptionData;
+  if (keyCheck) {
+    const isValid = await encryptionService.validateKey(passwordKey, keyCheck);
+    if (!isValid) {
+      throw new Error(WRONG_PASSWORD_MESSAGE);
+    }
+  } else if (!wrappedKey) {
+    // Accounts created before key-check values: verify against an
+    // existing note, then store a key check for next time
+    const isValid = await verifyKeyWithNotes(userId, passwordKey);
+    if (!isValid) {
+      throw new Error(WRONG_PASSWORD_MESSAGE);
+    }
+
+    keyCheck = await encryptionService.createTestString(passwordKey);
+    try {
+      await saveUserEncryptionData(userId, { salt, keyCheck, kdf });
+    } catch (error) {
+      console.warn('Could not save key check to Firestore:', error);
+    }
+  }
+
+  if (wrappedKey) {
+    let dataKey;
+    try {
+      dataKey = await encryptionService.unwrapKey(wrappedKey, passwordKey);
+    } catch (error) {
+      throw new Error(WRONG_PASSWORD_MESSAGE);
+    }
+
+    await activateKey(userId, dataKey);
+    await notesDB.saveEncryptionData(userId, { salt, keyCheck, wrappedKey, kdf });
+    await upgradeKdfIfNeeded(userId, dataKey, password, kdf);
+    await bindNotesIfNeeded(userId, dataKey);
+    return dataKey;
+  }
+
+  // Direct-key account: notes are encrypted with the password key itself
+  if (navigator.onLine) {
+    const dataKey = await migrateToWrappedKey(userId, { salt, keyCheck, kdf }, passwordKey);
+    await activateKey(userId, dataKey);
+    await upgradeKdfIfNeeded(userId, dataKey, password, kdf);
+    return dataKey;
+  }
+
+  // Offline - keep using the direct key until the next online login
+  await activateKey(userId, passwordKey, { legacy: true });
+  await notesDB.saveEncryptionData(userId, { salt, keyCheck, kdf });
+  return passwordKey;
+};
+
+// Unlock a locked session with the cached salt and wrapped key, so only the
+// encryption password is needed and it works offline
+export const unlockSession = async (userId, password) => {
+  const cached = await notesDB.getEncryptionData(userId);
+
+  if (cached && cached.wrappedKey && !cached.keyRotation) {
+    const { key: passwordKey } = await encryptionService.deriveKeyFromPassword(
+      password,
+      cached.salt,
+      cached.kdf
+    );
+
+    try {
+      const dataKey = await encryptionService.unwrapKey(cached.wrappedKey, passwordKey);
+      await activateKey(userId, dataKey);
+      await bindNotesIfNeeded(userId, dataKey);
+      return dataKey;
+    } catch (error) {
+      if (!navigator.onLine) {
+        throw new Error(WRONG_PASSWORD_MESSAGE);
+      }
+      // The password may have been changed on another device - check the server copy
+    }
+  }
+
+  return unlockWithPassword(userId, password);
+};
+
+// Idle minutes before the session locks itself (0 = never)
+export const getAutoLockMinutes = () => {
+  const stored = localStorage.getItem(AUTO_LOCK_KEY);
+  return stored === null ? DEFAULT_AUTO_LOCK_MINUTES : Number(stored);
+};
+
+export const saveAutoLockMinutes = (minutes) => {
+  localStorage.setItem(AUTO_LOCK_KEY, String(minutes));
+};
+
+// Wrap the data key with a new encryption password (salt, KDF parameters,
+// key check and wrapped key are written together)
+const rewrapDataKey = async (userId, dataKey, newPassword, kdf) => {
+  const { key: newKey, salt: newSalt } = await encryptionService.deriveKeyFromPassword(
+    newPassword,
+    null,
+    kdf
+  );
+  const newEncryptionData = {
+    salt: newSalt,
+    kdf,
+    keyCheck: await encryptionService.createTestString(newKey),
+    wrappedKey: await encryptionService.wrapKey(dataKey, newKey)
+  };
+
+  await saveUserEncryptionData(userId, newEncryptionData);
+  await notesDB.saveEncryptionData(userId, newEncryptionData);
+};
+
+// Silently re-wrap with current policy parameters after a successful unlock
+const upgradeKdfIfNeeded = async (userId, dataKey, password, kdf) => {
+  if (!navigator.onLine || !encryptionService.kdfNeedsUpgrade(kdf)) {
+    return;
+  }
+
+  try {
+    await rewrapDataKey(userId, dataKey, password, encryptionService.getCurrentKdf(kdf));
+    console.log('Key derivation parameters upgraded');
+  } catch (error) {
+    // The old parameters still work - try again on the next login
+    console.warn('Could not upgrade key derivation parameters:', error);
+  }
+};
+
+// Re-encrypt notes saved before fields were bound to their note. Runs before
+// the notes are shown, so it can't race with edits.
+const bindNotesIfNeeded = async (userId, dataKey) => {
+  if (!navigator.onLine) {
+    return;
+  }
+
+  try {
+    await bindNoteEncryption(userId, dataKey);
+  } catch (error) {
+    // Unbound notes still decrypt - try again on the next unlock
+    console.warn('Could not bind notes to their ids:', error);
+  }
+};
+
+// Unwrap the data key for a signed-in account after re-checking the password
+const unwrapWithPassword = async (userId, password, wrongPasswordMessage) => {
+  const encryptionData = await getUserEncryptionData(userId);
+  if (!encryptionData) {
+    throw new Error('No encryption key is set up for this account');
+  }
+  if (!encryptionData.wrappedKey || encryptionData.keyRotation) {
+    throw new Error('Your encryption keys are still being upgraded. Log in again to finish.');
+  }
+
+  const { key: passwordKey } = await encryptionService.deriveKeyFromPassword(
+    password,
+    encryptionData.salt,
+    encryptionData.kdf
+  );
+
+  try {
+    const dataKey = await encryptionService.unwrapKey(encryptionData.wrappedKey, passwordKey);
+    return { dataKey, encryptionData };
+  } catch (error) {
+    throw new Error(wrongPasswordMessage);
+  }
+};
+
+// Change the encryption password by re-wrapping the data key.
+// Note ciphertext is untouched - only the salt and wrapped key change.
+export const changeEncryptionPassword = async (userId, currentPassword, newPassword) => {
+  if (!navigator.onLine) {
+    throw new Error('You need to be online to change your encryption password');
+  }
+
+  const { dataKey, encryptionData } = await unwrapWithPassword(
+    userId,
+    currentPassword,
+    'Current encryption password is incorrect'
+  );
+
+  // Keep the chosen KDF algorithm, at current policy strength
+  await rewrapDataKey(
+    userId,
+    dataKey,
+    newPassword,
+    encryptionService.getCurrentKdf(encryptionData.kdf)
+  );
+};
+
+// Switch the password key derivation (PBKDF2 or memory-hard scrypt)
+export const changeKeyDerivation = async (userId, password, algorithm) => {
+  if (!navigator.onLine) {
+    throw new Error('You need to be online to change key derivation settings');
+  }
+
+  const { dataKey } = await unwrapWithPassword(userId, password, WRONG_PASSWORD_MESSAGE);
+  const kdf = algorithm === 'scrypt' ? SCRYPT_KDF : PBKDF2_KDF;
+
+  await rewrapDataKey(userId, dataKey, password, kdf);
+  return kdf;
+};
+
+// Get the stored KDF parameters (for display in settings)
+export const getKeyDerivation = async (userId) => {
+  const encryptionData = await loadEncryptionData(userId);
+  return (encryptionData && encryptionData.kdf) || LEGACY_KDF;
+};
+
+// Wrap the data key with a key derived from a new recovery phrase.
+// Any previous phrase stops working.
+export const createRecoveryPhrase = async (userId, dataKey) => {
+  const phrase = encryptionService.generateRecoveryPhrase();
+  const {
+    key: recoveryKey,
+    salt: recoverySalt,
+    kdf: recoveryKdf
+  } = await encryptionService.deriveKeyFromPassword(phrase);
+
+  await saveUserRecoveryData(userId, {
+    recoverySalt,
+    recoveryKdf,
+    recoveryWrappedKey: await encryptionService.wrapKey(dataKey, recoveryKey)
+  });
+
+  return phrase;
+};
+
+// Replace the recovery phrase after re-checking the encryption password
+export const regenerateRecoveryPhrase = async (userId, password) => {
+  if (!navigator.onLine) {
+    throw new Error('You need to be online to create a recovery phrase');
+  }
+
+  const { dataKey } = await unwrapWithPassword(userId, password, WRONG_PASSWORD_MESSAGE);
+  return createRecoveryPhrase(userId, dataKey);
+};
+
+// Unwrap the data key with the recovery phrase and set a new encryption password
+export const recoverWithPhrase = async (userId, phrase, newPassword) => {
+  const encryptionData = await getUserEncryptionData(userId);
+  if (!encryptionData || !encryptionData.recoveryWrappedKey) {
+    throw new Error('No recovery phrase is set up for this account');
+  }
+
+  const normalizedPhrase = encryptionService.normalizeRecoveryPhrase(phrase);
+  const { key: recoveryKey } = await encryptionService.deriveKeyFromPassword(
+    normalizedPhrase,
+    encryptionData.recoverySalt,
+    encryptionData.recoveryKdf
+  );
+
+  let dataKey;
+  try {
+    dataKey = await encryptionService.unwrapKey(encryptionData.recoveryWrappedKey, recoveryKey);
+  } catch (error) {
+    throw new Error('Recovery phrase is incorrect');
+  }
+
+  await rewrapDataKey(
+    userId,
+    dataKey,
+    newPassword,
+    encryptionService.getCurrentKdf(encryptionData.kdf)
+  );
+
+  await activateKey(userId, dataKey);
+  return dataKey;
+};
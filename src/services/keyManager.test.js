@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import CryptoJS from 'crypto-js';
+import { webcrypto } from 'crypto';
+import { runInThisContext } from 'vm';
+import * as backend from './backend';
+import encryptionService from './encryption';
+import {
+  WRONG_PASSWORD_MESSAGE,
+  setupAccountKeys,
+  unlockWithPassword,
+  unlockSession,
+  restoreSession,
+  endSession,
+  changeEncryptionPassword,
+  createRecoveryPhrase,
+  recoverWithPhrase
+} from './keyManager';
+import { PBKDF2_KDF, LEGACY_KDF } from '../utils/constants';
+
+jest.mock('./backend', () => ({
+  __esModule: true,
+  ...jest.requireActual('./backends/memoryBackend').createMemoryBackend()
+}));
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+// What the browser provides: WebCrypto, base64, structured cloning and storage
+global.window = global;
+global.crypto = webcrypto;
+global.structuredClone = global.structuredClone || runInThisContext('structuredClone');
+global.sessionStorage = memoryStorage();
+global.localStorage = memoryStorage();
+global.navigator = { onLine: true };
+
+// Below policy, so every unlock also upgrades it
+const TEST_KDF = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+let userId;
+
+const unwrapStoredKey = async (password) => {
+  const { salt, kdf, wrappedKey } = await backend.getUserEncryptionData(userId);
+  const { key } = await encryptionService.deriveKeyFromPassword(password, salt, kdf);
+  return encryptionService.unwrapKey(wrappedKey, key);
+};
+
+beforeEach(async () => {
+  ({ uid: userId } = await backend.registerUser(`user${Date.now()}${Math.random()}@example.com`, 'login-password'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  navigator.onLine = true;
+  encryptionService.clearMasterKey();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('unlockWithPassword', () => {
+  test('sets up a wrapped data key on first unlock', async () => {
+    const dataKey = await unlockWithPassword(userId, 'correct horse');
+
+    expect(encryptionService.hasMasterKey()).toBe(true);
+    const stored = await backend.getUserEncryptionData(userId);
+    expect(stored.kdf).toEqual(PBKDF2_KDF);
+    expect(stored.keyCheck).toBeTruthy();
+    await expect(unwrapStoredKey('correct horse')).resolves.toBe(dataKey);
+  });
+
+  test('rejects a wrong password with the stored key check', async () => {
+    await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+    await expect(unlockWithPassword(userId, 'wrong horse')).rejects.toThrow(WRONG_PASSWORD_MESSAGE);
+  });
+
+  test('unwraps the same data key and upgrades weak KDF parameters', async () => {
+    const dataKey = await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+    const { salt } = await backend.getUserEncryptionData(userId);
+
+    await expect(unlockWithPassword(userId, 'correct horse')).resolves.toBe(dataKey);
+
+    const upgraded = await backend.getUserEncryptionData(userId);
+    expect(upgraded.kdf).toEqual(PBKDF2_KDF);
+    expect(upgraded.salt).not.toBe(salt);
+    await expect(unwrapStoredKey('correct horse')).resolves.toBe(dataKey);
+  });
+
+  test('checks direct-key accounts against their notes and moves them to a wrapped key', async () => {
+    const { key: passwordKey, salt } = await encryptionService.deriveKeyFromPassword('correct horse', null, LEGACY_KDF);
+    await backend.saveUserEncryptionData(userId, { salt });
+    await backend.saveNote(userId, {
+      id: 'n1',
+      encrypted: true,
+      title: CryptoJS.AES.encrypt('Title', passwordKey).toString(),
+      content: CryptoJS.AES.encrypt('Content', passwordKey).toString(),
+      tags: CryptoJS.AES.encrypt('[]', passwordKey).toString()
+    });
+
+    await expect(unlockWithPassword(userId, 'wrong horse')).rejects.toThrow(WRONG_PASSWORD_MESSAGE);
+
+    const dataKey = await unlockWithPassword(userId, 'correct horse');
+    expect(dataKey).not.toBe(passwordKey);
+    await expect(unwrapStoredKey('correct horse')).resolves.toBe(dataKey);
+    const note = { ...(await backend.getNote(userId, 'n1')), userId };
+    await expect(encryptionService.decryptNote(note, dataKey)).resolves.toMatchObject({ title: 'Title', content: 'Content' });
+  });
+});
+
+describe('unlockSession', () => {
+  test('unlocks offline from the cached wrapped key', async () => {
+    const dataKey = await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+    encryptionService.clearMasterKey();
+    navigator.onLine = false;
+
+    await expect(unlockSession(userId, 'wrong horse')).rejects.toThrow(WRONG_PASSWORD_MESSAGE);
+    await expect(unlockSession(userId, 'correct horse')).resolves.toBe(dataKey);
+    expect(encryptionService.hasMasterKey()).toBe(true);
+  });
+});
+
+describe('restoreSession', () => {
+  test('restores the key after a refresh until the session ends', async () => {
+    const dataKey = await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+    const note = await encryptionService.encryptNote({ id: 'n1', userId, title: 'Title' }, dataKey);
+    encryptionService.clearMasterKey();
+
+    await expect(restoreSession(userId)).resolves.toBe(true);
+    await expect(encryptionService.decryptNote(note)).resolves.toMatchObject({ title: 'Title' });
+    await expect(restoreSession('someone-else')).resolves.toBe(false);
+
+    await endSession();
+    expect(encryptionService.hasMasterKey()).toBe(false);
+    await expect(restoreSession(userId)).resolves.toBe(false);
+  });
+});
+
+describe('changeEncryptionPassword', () => {
+  test('re-wraps the data key for the new password only', async () => {
+    const dataKey = await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+
+    await expect(changeEncryptionPassword(userId, 'wrong horse', 'battery staple'))
+      .rejects.toThrow('Current encryption password is incorrect');
+    await changeEncryptionPassword(userId, 'correct horse', 'battery staple');
+
+    await expect(unlockWithPassword(userId, 'correct horse')).rejects.toThrow(WRONG_PASSWORD_MESSAGE);
+    await expect(unlockWithPassword(userId, 'battery staple')).resolves.toBe(dataKey);
+  });
+});
+
+describe('recovery phrases', () => {
+  test('recover the data key and set a new password', async () => {
+    const dataKey = await setupAccountKeys(userId, 'correct horse', TEST_KDF);
+    const phrase = await createRecoveryPhrase(userId, dataKey);
+
+    const words = phrase.split(' ');
+    const wrongPhrase = [...words.slice(1), words[0]].join(' ');
+    await expect(recoverWithPhrase(userId, wrongPhrase, 'battery staple')).rejects.toThrow('Recovery phrase is incorrect');
+
+    await expect(recoverWithPhrase(userId, ` ${phrase.toUpperCase()} `, 'battery staple')).resolves.toBe(dataKey);
+    await expect(unwrapStoredKey('battery staple')).resolves.toBe(dataKey);
+  });
+});
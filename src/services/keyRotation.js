@@ -0,0 +1,197 @@
+// src/services/keyRotation.js
+import {
+  getNotes,
+  updateNote,
+  saveKeyRotation,
+  completeKeyRotation
+} from './backend';
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+
+// Times a note edited on another device during re-encryption is re-read and
+// tried again before giving up (the rotation can then be resumed)
+const REENCRYPT_ATTEMPTS = 3;
+
+// Only the ciphertext fields change when a note is re-encrypted
+const toCiphertextUpdate = (note) => ({
+  title: note.title,
+  content: note.content,
+  tags: note.tags,
+  checklist: note.checklist,
+  revision: note.revision,
+  encrypted: true,
+  encryptionVersion: note.encryptionVersion
+});
+
+// Re-encrypt a server note on top of the revision it was read at, so an edit
+// saved meanwhile on another device isn't overwritten: on a conflict the
+// newer copy is re-encrypted instead. Returns the note written, or null when
+// nothing was (deleted meanwhile, already under toKey or unreadable).
+const reencryptServerNote = async (userId, note, fromKey, toKey) => {
+  let current = note;
+
+  for (let attempt = 0; attempt < REENCRYPT_ATTEMPTS; attempt++) {
+    if (await encryptionService.isNoteEncryptedWithKey(toKey, current)) {
+      return null;
+    }
+
+    let reencrypted;
+    try {
+      reencrypted = await encryptionService.reencryptNote(current, fromKey, toKey);
+    } catch (error) {
+      // Already unreadable with the old key - nothing to carry over
+      console.error(`Skipping note ${note.id} during re-encryption:`, error);
+      return null;
+    }
+
+    try {
+      await updateNote(userId, note.id, toCiphertextUpdate(reencrypted), current.revision || 0);
+      return reencrypted;
+    } catch (error) {
+      if (error.code === 'not-found') return null;
+      if (error.code !== 'revision-conflict') throw error;
+      current = { ...error.serverNote, userId };
+    }
+  }
+
+  throw new Error(`Note ${note.id} kept changing during re-encryption`);
+};
+
+// Re-encrypt a cached note with changes the server doesn't have yet in place
+// of caching the server's copy, so the changes aren't lost. rebaseOn is the
+// re-encrypted server copy when it is the one the changes started from: they
+// move on top of its new revision, so they still sync without a conflict.
+const reencryptUnsyncedNote = async (cached, fromKey, toKey, rebaseOn = null) => {
+  const isCurrent = await encryptionService.isNoteEncryptedWithKey(toKey, cached);
+  if (isCurrent && !rebaseOn) return;
+
+  try {
+    const decrypted = await encryptionService.decryptNote(cached, isCurrent ? toKey : fromKey);
+    const reencrypted = await encryptionService.encryptNote(
+      rebaseOn ? { ...decrypted, revision: rebaseOn.revision } : decrypted,
+      toKey
+    );
+    await notesDB.notes.put({
+      ...reencrypted,
+      baseRevision: rebaseOn ? rebaseOn.revision : cached.baseRevision
+    });
+  } catch (error) {
+    console.error(`Skipping local note ${cached.id} during re-encryption:`, error);
+  }
+};
+
+// Re-encrypt every note still under fromKey, one revision-checked write per
+// note. Notes that already decrypt with toKey are skipped, so this can be
+// resumed.
+const reencryptNotes = async (userId, fromKey, toKey, onProgress) => {
+  // The owner in each note's associated data comes from its path
+  const notes = (await getNotes(userId)).map(note => ({ ...note, userId }));
+  const localNotes = await notesDB.getLocalNotes(userId);
+  const cachedById = new Map(localNotes.map(note => [note.id, note]));
+  const handled = new Set();
+  const remaining = [];
+
+  for (const note of notes) {
+    if (note.encrypted && !(await encryptionService.isNoteEncryptedWithKey(toKey, note))) {
+      remaining.push(note);
+    }
+  }
+
+  let done = notes.length - remaining.length;
+  if (onProgress) onProgress({ done, total: notes.length });
+
+  for (const note of remaining) {
+    const reencrypted = await reencryptServerNote(userId, note, fromKey, toKey);
+    const cached = cachedById.get(note.id);
+
+    if (cached && cached.encrypted && cached.syncStatus !== 'synced') {
+      // encryptNote wrote the revision after the one it replaced
+      const isBase = reencrypted && (cached.baseRevision || 0) + 1 === reencrypted.revision;
+      await reencryptUnsyncedNote(cached, fromKey, toKey, isBase ? reencrypted : null);
+      handled.add(note.id);
+    } else if (reencrypted) {
+      await notesDB.saveNoteLocally(reencrypted);
+      handled.add(note.id);
+    }
+
+    done++;
+    if (onProgress) onProgress({ done, total: notes.length });
+  }
+
+  // Other notes with local changes: created offline, or edited offline on
+  // top of a server copy that was already re-encrypted
+  for (const note of localNotes) {
+    if (handled.has(note.id) || !note.encrypted || note.syncStatus === 'synced') continue;
+    await reencryptUnsyncedNote(note, fromKey, toKey);
+  }
+};
+
+// Re-encrypt the remaining notes, then switch the account to the new keys
+const finishKeyRotation = async (userId, keyRotation, fromKey, toKey, onProgress) => {
+  await reencryptNotes(userId, fromKey, toKey, onProgress);
+
+  const { salt, keyCheck, wrappedKey = null, kdf = null } = keyRotation;
+  await completeKeyRotation(userId, salt, keyCheck, wrappedKey);
+  await notesDB.saveEncryptionData(userId, { salt, keyCheck, wrappedKey, kdf });
+
+  return toKey;
+};
+
+// Re-encrypt notes from before ciphertext was bound to the note (unbound
+// envelopes or CryptoJS) under the same key, so every field is bound
+export const bindNoteEncryption = async (userId, key, onProgress) => {
+  await reencryptNotes(userId, key, key, onProgress);
+};
+
+// Move an account that encrypts notes directly with the password-derived key
+// to a random data key wrapped by that password key
+export const migrateToWrappedKey = async (userId, { salt, keyCheck, kdf = null }, passwordKey, onProgress) => {
+  const dataKey = encryptionService.generateDataKey();
+  const wrappedKey = await encryptionService.wrapKey(dataKey, passwordKey);
+
+  // Each key is wrapped by the other so the migration can be resumed
+  const keyRotation = {
+    salt,
+    kdf,
+    keyCheck,
+    wrappedKey,
+    nextKey: wrappedKey,
+    previousKey: await encryptionService.encryptValue(passwordKey, dataKey),
+    startedAt: new Date().toISOString()
+  };
+
+  await saveKeyRotation(userId, keyRotation);
+  await notesDB.saveKeyRotation(userId, keyRotation);
+
+  console.log('Migrating notes to a wrapped data key');
+  return finishKeyRotation(userId, keyRotation, passwordKey, dataKey, onProgress);
+};
+
+// Finish a re-encryption that was interrupted (e.g. the tab was closed).
+// Accepts either the old or the new password; returns null if neither matches.
+export const resumeKeyRotation = async (userId, encryptionData, password, onProgress) => {
+  const { salt, kdf, keyCheck, keyRotation } = encryptionData;
+  let fromKey;
+  let toKey;
+
+  const { key: oldKey } = await encryptionService.deriveKeyFromPassword(password, salt, kdf);
+
+  if (keyCheck && await encryptionService.validateKey(oldKey, keyCheck)) {
+    fromKey = oldKey;
+    toKey = await encryptionService.decryptValue(keyRotation.nextKey, oldKey);
+  } else {
+    const { key: newKey } = await encryptionService.deriveKeyFromPassword(
+      password,
+      keyRotation.salt,
+      keyRotation.kdf
+    );
+    if (!(await encryptionService.validateKey(newKey, keyRotation.keyCheck))) {
+      return null;
+    }
+    toKey = newKey;
+    fromKey = await encryptionService.decryptValue(keyRotation.previousKey, newKey);
+  }
+
+  console.log('Resuming interrupted note re-encryption');
+  return finishKeyRotation(userId, keyRotation, fromKey, toKey, onProgress);
+};
@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+import { runInThisContext } from 'vm';
+import * as backend from './backend';
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+import { resumeKeyRotation } from './keyRotation';
+
+jest.mock('./backend', () => ({
+  __esModule: true,
+  ...jest.requireActual('./backends/memoryBackend').createMemoryBackend()
+}));
+
+// What the browser provides: WebCrypto, base64 and structured cloning
+global.window = global;
+global.crypto = webcrypto;
+global.structuredClone = global.structuredClone || runInThisContext('structuredClone');
+
+// Cheap parameters so the tests don't spend seconds deriving keys
+const TEST_KDF = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 1000 };
+
+let userId;
+
+const deriveKey = (password) => encryptionService.deriveKeyFromPassword(password, null, TEST_KDF);
+
+// Account metadata as a password change left it before re-encrypting: the
+// old key's salt and key check, and the new key's in keyRotation
+const startRotation = async (from, to) => {
+  await backend.saveUserEncryptionData(userId, {
+    salt: from.salt,
+    kdf: TEST_KDF,
+    keyCheck: await encryptionService.createTestString(from.key)
+  });
+  await backend.saveKeyRotation(userId, {
+    salt: to.salt,
+    kdf: TEST_KDF,
+    keyCheck: await encryptionService.createTestString(to.key),
+    nextKey: await encryptionService.encryptValue(to.key, from.key),
+    previousKey: await encryptionService.encryptValue(from.key, to.key),
+    startedAt: new Date().toISOString()
+  });
+  return backend.getUserEncryptionData(userId);
+};
+
+const saveServerNote = async (note, key) => {
+  const encrypted = await encryptionService.encryptNote({ userId, tags: [], ...note }, key);
+  await backend.saveNote(userId, encrypted);
+  return encrypted;
+};
+
+const readServerNote = async (noteId, key) => encryptionService.decryptNote(
+  { ...(await backend.getNote(userId, noteId)), userId },
+  key
+);
+
+describe('resumeKeyRotation', () => {
+  let from;
+  let to;
+
+  beforeEach(async () => {
+    ({ uid: userId } = await backend.registerUser(`user${Date.now()}${Math.random()}@example.com`, 'login-password'));
+    from = await deriveKey('old password');
+    to = await deriveKey('new password');
+    await notesDB.notes.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('finishes with the old password', async () => {
+    const encryptionData = await startRotation(from, to);
+    await saveServerNote({ id: 'n1', title: 'One', content: 'first' }, from.key);
+    await saveServerNote({ id: 'n2', title: 'Two', content: 'second' }, from.key);
+
+    await expect(resumeKeyRotation(userId, encryptionData, 'old password')).resolves.toBe(to.key);
+
+    await expect(readServerNote('n1', to.key)).resolves.toMatchObject({ title: 'One', content: 'first' });
+    await expect(readServerNote('n2', to.key)).resolves.toMatchObject({ title: 'Two', content: 'second' });
+    const finished = await backend.getUserEncryptionData(userId);
+    expect(finished.keyRotation).toBeFalsy();
+    expect(finished.salt).toBe(to.salt);
+    await expect(encryptionService.validateKey(to.key, finished.keyCheck)).resolves.toBe(true);
+  });
+
+  test('finishes with the new password', async () => {
+    const encryptionData = await startRotation(from, to);
+    await saveServerNote({ id: 'n1', title: 'One', content: 'first' }, from.key);
+
+    await expect(resumeKeyRotation(userId, encryptionData, 'new password')).resolves.toBe(to.key);
+    await expect(readServerNote('n1', to.key)).resolves.toMatchObject({ title: 'One' });
+    expect((await backend.getUserEncryptionData(userId)).keyRotation).toBeFalsy();
+  });
+
+  test('returns null for any other password and changes nothing', async () => {
+    const encryptionData = await startRotation(from, to);
+    await saveServerNote({ id: 'n1', title: 'One', content: 'first' }, from.key);
+
+    await expect(resumeKeyRotation(userId, encryptionData, 'wrong password')).resolves.toBeNull();
+    await expect(readServerNote('n1', from.key)).resolves.toMatchObject({ title: 'One' });
+    expect((await backend.getUserEncryptionData(userId)).keyRotation).toBeTruthy();
+  });
+
+  test('skips notes already re-encrypted before the interruption', async () => {
+    const encryptionData = await startRotation(from, to);
+    const done = await saveServerNote({ id: 'done', title: 'Done', content: 'moved' }, to.key);
+    await saveServerNote({ id: 'left', title: 'Left', content: 'not yet' }, from.key);
+    const updateNote = jest.spyOn(backend, 'updateNote');
+    const progress = [];
+
+    await resumeKeyRotation(userId, encryptionData, 'old password', update => progress.push(update));
+
+    expect(updateNote).toHaveBeenCalledTimes(1);
+    expect(updateNote.mock.calls[0][1]).toBe('left');
+    expect(await backend.getNote(userId, 'done')).toMatchObject({ revision: done.revision, content: done.content });
+    expect(progress).toEqual([{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+  });
+
+  test('re-encrypts the newer copy when a note is edited meanwhile', async () => {
+    const encryptionData = await startRotation(from, to);
+    const original = await saveServerNote({ id: 'n1', title: 'Before', content: 'old text' }, from.key);
+
+    // Another device saves an edit just before the first re-encrypted write
+    const write = backend.updateNote;
+    const spy = jest.spyOn(backend, 'updateNote').mockImplementationOnce(async (...args) => {
+      const edited = await encryptionService.encryptNote(
+        { ...(await encryptionService.decryptNote(original, from.key)), title: 'Edited elsewhere' },
+        from.key
+      );
+      await write(userId, 'n1', edited, original.revision);
+      return write(...args);
+    });
+
+    await resumeKeyRotation(userId, encryptionData, 'old password');
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    const saved = await readServerNote('n1', to.key);
+    expect(saved).toMatchObject({ title: 'Edited elsewhere', content: 'old text' });
+    expect(saved.revision).toBe(original.revision + 2);
+  });
+
+  test('keeps unsynced local edits and moves them onto the re-encrypted revision', async () => {
+    const encryptionData = await startRotation(from, to);
+    const server = await saveServerNote({ id: 'n1', title: 'Server', content: 'synced' }, from.key);
+    const local = await encryptionService.encryptNote(
+      { ...(await encryptionService.decryptNote(server, from.key)), content: 'edited offline' },
+      from.key
+    );
+    await notesDB.notes.put({ ...local, syncStatus: 'pending', baseRevision: server.revision });
+
+    await resumeKeyRotation(userId, encryptionData, 'old password');
+
+    const [cached] = await notesDB.getLocalNotes(userId);
+    const rewritten = await backend.getNote(userId, 'n1');
+    expect(cached.syncStatus).toBe('pending');
+    expect(cached.baseRevision).toBe(rewritten.revision);
+    await expect(encryptionService.decryptNote(cached, to.key)).resolves.toMatchObject({ content: 'edited offline' });
+  });
+});
@@ -0,0 +1,113 @@
+// src/services/noteHistory.js
+import {
+  createNoteId,
+  saveNoteRevision,
+  getNoteRevisions,
+  deleteNoteRevisions
+} from './backend';
+import notesDB from './indexedDB';
+import { HISTORY_KEEP_ALL_FOR, HISTORY_KEEP_HOURLY_FOR } from '../utils/constants';
+
+// Fields kept in the local cache only
+const toServerEntry = ({ syncStatus, ...entry }) => entry;
+
+// Ids of the entries the retention policy drops: every revision from the last
+// HISTORY_KEEP_ALL_FOR, the latest of each hour up to HISTORY_KEEP_HOURLY_FOR,
+// and the latest of each day before that. The newest entry is always kept
+// (it is the latest of its period).
+export const selectExpiredRevisions = (entries, now = Date.now()) => {
+  const newestFirst = [...entries].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  const keptPeriods = new Set();
+
+  return newestFirst.reduce((expired, entry) => {
+    const age = now - Date.parse(entry.savedAt);
+    if (age < HISTORY_KEEP_ALL_FOR) return expired;
+
+    // ISO timestamps: the first 13 characters are the hour, 10 the day
+    const period = entry.savedAt.slice(0, age < HISTORY_KEEP_HOURLY_FOR ? 13 : 10);
+    if (keptPeriods.has(period)) {
+      expired.push(entry.id);
+    } else {
+      keptPeriods.add(period);
+    }
+    return expired;
+  }, []);
+};
+
+// Drop the revisions of a note the retention policy no longer keeps. Offline,
+// only entries that never reached the server can go.
+const thinHistory = async (userId, noteId, isOffline) => {
+  const entries = await notesDB.getNoteHistory(noteId);
+  const expired = new Set(selectExpiredRevisions(entries));
+  const removable = entries.filter(entry =>
+    expired.has(entry.id) && (!isOffline || entry.syncStatus === 'pending')
+  );
+  if (removable.length === 0) return;
+
+  const onServer = removable.filter(entry => entry.syncStatus === 'synced').map(entry => entry.id);
+  if (onServer.length > 0) {
+    await deleteNoteRevisions(userId, noteId, onServer);
+  }
+  await notesDB.deleteHistoryEntries(removable.map(entry => entry.id));
+};
+
+// Keep a saved note's ciphertext as a revision. It stays bound to the note's
+// id, owner and revision, so it decrypts like the note it was.
+export const recordRevision = async (userId, encryptedNote, isOffline) => {
+  const { id: noteId, revision, title, content, tags, checklist, encrypted, encryptionVersion } = encryptedNote;
+  const entry = {
+    id: createNoteId(userId),
+    noteId,
+    userId,
+    revision,
+    title,
+    content,
+    tags,
+    checklist,
+    encrypted,
+    encryptionVersion,
+    savedAt: new Date().toISOString()
+  };
+
+  try {
+    if (!isOffline) {
+      await saveNoteRevision(userId, noteId, entry);
+    }
+    await notesDB.saveHistoryEntries([{ ...entry, syncStatus: isOffline ? 'pending' : 'synced' }]);
+    await thinHistory(userId, noteId, isOffline);
+  } catch (error) {
+    // The note itself is saved - a missing revision only thins the history
+    console.error('Error recording note revision:', error);
+  }
+};
+
+// A note's revisions, oldest first. Online, the server's copy (written by any
+// device) is merged into the local cache first.
+export const loadNoteHistory = async (userId, noteId, isOffline) => {
+  if (!isOffline) {
+    const serverEntries = await getNoteRevisions(userId, noteId);
+    await notesDB.saveHistoryEntries(serverEntries.map(entry => ({ ...entry, userId, syncStatus: 'synced' })));
+  }
+  return notesDB.getNoteHistory(noteId);
+};
+
+// Upload the revisions recorded offline
+export const pushPendingHistory = async (userId) => {
+  const pending = await notesDB.getPendingHistory(userId);
+  for (const entry of pending) {
+    await saveNoteRevision(userId, entry.noteId, toServerEntry(entry));
+    await notesDB.markHistorySynced([entry.id]);
+  }
+  return pending.length;
+};
+
+// Delete every revision of a note (it was deleted for good)
+export const deleteNoteHistory = async (userId, noteId, isOffline) => {
+  if (!isOffline) {
+    const serverEntries = await getNoteRevisions(userId, noteId);
+    if (serverEntries.length > 0) {
+      await deleteNoteRevisions(userId, noteId, serverEntries.map(entry => entry.id));
+    }
+  }
+  await notesDB.deleteNoteHistory(noteId);
+};
@@ -0,0 +1,48 @@
+import { selectExpiredRevisions } from './noteHistory';
+
+jest.mock('./backend', () => ({}));
+jest.mock('./indexedDB', () => ({}));
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const revision = (id, age) => ({ id, savedAt: new Date(NOW - age).toISOString() });
+
+describe('selectExpiredRevisions', () => {
+  test('keeps every revision from the last hour', () => {
+    const entries = [revision('a', 5 * MINUTE), revision('b', 20 * MINUTE), revision('c', 59 * MINUTE)];
+    expect(selectExpiredRevisions(entries, NOW)).toEqual([]);
+  });
+
+  test('keeps the latest revision of each hour up to a day back', () => {
+    const entries = [
+      revision('a', 2 * HOUR + 5 * MINUTE),
+      revision('b', 2 * HOUR + 10 * MINUTE),
+      revision('c', 3 * HOUR + 30 * MINUTE),
+      revision('d', 3 * HOUR + 40 * MINUTE)
+    ];
+    // 12:00 minus those ages: a and b fall in 09:xx, c and d in 08:xx
+    expect(selectExpiredRevisions(entries, NOW).sort()).toEqual(['b', 'd']);
+  });
+
+  test('keeps the latest revision of each day after that', () => {
+    const entries = [
+      revision('a', 2 * DAY + HOUR),
+      revision('b', 2 * DAY + 2 * HOUR),
+      revision('c', 3 * DAY)
+    ];
+    expect(selectExpiredRevisions(entries, NOW).sort()).toEqual(['b']);
+  });
+
+  test('always keeps the newest revision', () => {
+    const entries = [revision('old', 30 * DAY), revision('older', 30 * DAY + HOUR)];
+    expect(selectExpiredRevisions(entries, NOW)).toEqual(['older']);
+  });
+
+  test('does not depend on the order entries come in', () => {
+    const entries = [revision('b', 2 * HOUR + 10 * MINUTE), revision('newest', MINUTE), revision('a', 2 * HOUR + 5 * MINUTE)];
+    expect(selectExpiredRevisions(entries, NOW)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,209 @@
+// src/services/syncEngine.js
+import {
+  saveNote,
+  updateNote,
+  deleteNote,
+  createNoteId,
+  getNote,
+  getNotesChangedSince,
+  subscribeToNotes
+} from './backend';
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+import { recordRevision, pushPendingHistory, deleteNoteHistory } from './noteHistory';
+
+// Older versions gave notes created offline ids like offline_<time>_<random>
+const OFFLINE_ID_PREFIX = 'offline_';
+
+const isTemporaryId = (noteId) => noteId.startsWith(OFFLINE_ID_PREFIX);
+
+// Fields that only exist in the local cache
+const toServerNote = ({ syncStatus, localUpdatedAt, baseRevision, trashed, ...note }) => note;
+
+// The server already has exactly this write (e.g. the tab closed before the
+// queue entry was removed)
+const isSameWrite = (note, serverNote) =>
+  serverNote.revision === note.revision && serverNote.content === note.content;
+
+// Give a note with a temporary id a Firestore id. The ciphertext is bound to
+// the note id, so the note is re-encrypted for its new one.
+const remapTemporaryNote = async (userId, note) => {
+  const decrypted = await encryptionService.decryptNote({ ...note, userId });
+  const remapped = await encryptionService.encryptNote({
+    ...toServerNote(decrypted),
+    id: createNoteId(userId),
+    userId
+  });
+
+  await notesDB.remapNoteId(note.id, remapped);
+  console.log(`Remapped offline note ${note.id} to ${remapped.id}`);
+  return remapped;
+};
+
+// Send the cached (encrypted) note to Firestore, creating it if needed
+const pushNote = async (userId, note, action) => {
+  if (isTemporaryId(note.id)) {
+    note = await remapTemporaryNote(userId, note);
+    action = 'create';
+  }
+
+  if (action === 'create') {
+    await saveNote(userId, toServerNote(note));
+    return note.id;
+  }
+
+  try {
+    await updateNote(userId, note.id, toServerNote(note), note.baseRevision);
+  } catch (error) {
+    if (error.code === 'revision-conflict') {
+      // Edited on another device since - keep both sides for the user to resolve
+      if (!isSameWrite(note, error.serverNote)) {
+        console.warn(`Conflict on note ${note.id}`);
+        await notesDB.saveConflict(userId, note, error.serverNote);
+      }
+    } else if (error.code === 'not-found') {
+      // The create never reached the server - write the whole note
+      await saveNote(userId, toServerNote(note));
+    } else {
+      throw error;
+    }
+  }
+  return note.id;
+};
+
+// Apply one queued operation; resolves with the note id once the server confirmed it
+const applyOperation = async (userId, operation) => {
+  if (operation.action === 'delete') {
+    await deleteNote(userId, operation.noteId);
+    // Its revisions go too - deleted offline, the note only lost its local ones
+    await deleteNoteHistory(userId, operation.noteId, false);
+    return operation.noteId;
+  }
+
+  // The queue holds no payload - the latest encrypted note is in the local cache
+  const note = await notesDB.notes.get(operation.noteId);
+  if (!note) {
+    // Deleted locally since - a queued delete follows
+    return operation.noteId;
+  }
+
+  return pushNote(userId, note, operation.action);
+};
+
+// Write the user's resolution of a conflict on top of the server's version.
+// If the note changed again in the meantime the conflict is refreshed with
+// the new server copy and the error is rethrown.
+export const resolveConflict = async (userId, conflict, resolved) => {
+  const baseRevision = conflict.remote.revision || 0;
+  const encrypted = await encryptionService.encryptNote({
+    ...toServerNote(resolved),
+    id: conflict.noteId,
+    userId,
+    revision: baseRevision,
+    updatedAt: new Date().toISOString()
+  });
+
+  try {
+    await updateNote(userId, conflict.noteId, encrypted, baseRevision);
+  } catch (error) {
+    if (error.code === 'revision-conflict') {
+      await notesDB.saveConflict(userId, conflict.local, error.serverNote);
+    }
+    throw error;
+  }
+
+  await notesDB.settleConflict(encrypted);
+  await recordRevision(userId, encrypted, false);
+  return encrypted;
+};
+
+// Resolve a conflict by keeping the server's version as it is
+export const acceptServerVersion = async (conflict) => {
+  await notesDB.settleConflict(conflict.remote);
+};
+
+// Throw away the unsynced changes to a note (queued or failed) and cache the
+// server's copy again
+export const discardNoteChanges = async (userId, noteId) => {
+  let serverNote = null;
+  if (!isTemporaryId(noteId)) {
+    try {
+      serverNote = await getNote(userId, noteId);
+    } catch (error) {
+      if (error.code !== 'not-found') throw error;
+    }
+  }
+
+  await notesDB.discardNoteChanges(noteId, serverNote);
+};
+
+// The sync cursor after applying changes (ISO timestamps sort as strings)
+const advanceCursor = (cursor, changes) => changes.reduce(
+  (max, note) => (note.updatedAt && (!max || note.updatedAt > max) ? note.updatedAt : max),
+  cursor
+);
+
+// Fetch the notes changed on the server since the last pull and write them to
+// the local cache in one go. Resolves with the number of changes applied.
+export const pullRemoteChanges = async (userId) => {
+  const cursor = await notesDB.getSyncCursor(userId);
+  const changes = await getNotesChangedSince(userId, cursor);
+
+  await notesDB.applyServerChanges(userId, changes, advanceCursor(cursor, changes));
+  return changes.length;
+};
+
+// Keep the local cache up to date with changes made on other devices as they
+// happen. onApplied receives the ids of the notes written to the cache.
+// Returns a function that stops listening.
+export const watchRemoteChanges = (userId, onApplied) => {
+  let unsubscribe = null;
+  let stopped = false;
+
+  const applyChanges = async (changes) => {
+    try {
+      const cursor = await notesDB.getSyncCursor(userId);
+      await notesDB.applyServerChanges(userId, changes, advanceCursor(cursor, changes));
+      onApplied(changes.map(note => note.id));
+    } catch (error) {
+      console.error('Failed to apply remote changes:', error);
+    }
+  };
+
+  notesDB.getSyncCursor(userId)
+    .then(cursor => {
+      if (!stopped) {
+        unsubscribe = subscribeToNotes(userId, cursor, applyChanges);
+      }
+    })
+    .catch(error => console.error('Failed to watch remote changes:', error));
+
+  return () => {
+    stopped = true;
+    if (unsubscribe) unsubscribe();
+  };
+};
+
+let runningSync = null;
+
+// Replay queued offline changes against Firestore, in order. Concurrent
+// calls share the run in progress.
+export const syncPendingChanges = (userId) => {
+  if (!runningSync) {
+    runningSync = (async () => {
+      await notesDB.queueUnsyncedNotes(userId, isTemporaryId);
+      const result = await notesDB.syncWithFirebase(userId, operation => applyOperation(userId, operation));
+
+      // Then the revisions saved offline with those changes
+      try {
+        await pushPendingHistory(userId);
+      } catch (error) {
+        console.error('Failed to upload note history:', error);
+      }
+      return result;
+    })().finally(() => {
+      runningSync = null;
+    });
+  }
+  return runningSync;
+};
@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+import { runInThisContext } from 'vm';
+import * as backend from './backend';
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+import { syncPendingChanges, resolveConflict } from './syncEngine';
+import { recordRevision } from './noteHistory';
+import { deleteNoteForever } from './trash';
+import { SYNC_MAX_ATTEMPTS, SYNC_RETRY_BASE_DELAY, SYNC_RETRY_MAX_DELAY } from '../utils/constants';
+
+jest.mock('./backend', () => ({
+  __esModule: true,
+  ...jest.requireActual('./backends/memoryBackend').createMemoryBackend()
+}));
+
+// What the browser provides: WebCrypto, base64 and structured cloning
+global.window = global;
+global.crypto = webcrypto;
+global.structuredClone = global.structuredClone || runInThisContext('structuredClone');
+
+let userId;
+let now;
+
+const encrypt = (note) => encryptionService.encryptNote({ userId, tags: [], ...note });
+
+const decrypt = (note) => encryptionService.decryptNote({ ...note, userId });
+
+// A note on the server and in the local cache, in sync
+const syncedNote = async (note) => {
+  const encrypted = await encrypt(note);
+  await backend.saveNote(userId, encrypted);
+  await notesDB.saveNoteLocally(await backend.getNote(userId, encrypted.id));
+  return encrypted;
+};
+
+// Edit a cached note offline, as NoteEditor does
+const editOffline = async (noteId, changes) => {
+  const cached = await notesDB.notes.get(noteId);
+  const edited = await encrypt({ ...(await decrypt(cached)), ...changes });
+  await notesDB.updateNoteLocally(noteId, edited);
+  return edited;
+};
+
+// Let the backoff of every queued operation run out
+const waitOutBackoff = () => {
+  now += SYNC_RETRY_MAX_DELAY;
+};
+
+beforeAll(async () => {
+  await encryptionService.setMasterKey(encryptionService.generateDataKey());
+});
+
+beforeEach(async () => {
+  ({ uid: userId } = await backend.registerUser(`user${Date.now()}${Math.random()}@example.com`, 'login-password'));
+  await Promise.all(notesDB.tables.map(table => table.clear()));
+  now = Date.parse('2026-03-10T12:00:00.000Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('syncPendingChanges', () => {
+  test('pushes notes created offline', async () => {
+    await notesDB.createNoteLocally(await encrypt({ id: 'n1', title: 'Offline', content: 'text' }));
+
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 1, failed: 0 });
+
+    await expect(decrypt(await backend.getNote(userId, 'n1'))).resolves.toMatchObject({ title: 'Offline' });
+    expect((await notesDB.notes.get('n1')).syncStatus).toBe('synced');
+    await expect(notesDB.getPendingCount(userId)).resolves.toBe(0);
+  });
+
+  test('pushes offline edits on top of the revision they started from', async () => {
+    const original = await syncedNote({ id: 'n1', title: 'Title', content: 'before' });
+    await editOffline('n1', { content: 'after' });
+    await editOffline('n1', { content: 'after again' });
+
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ total: 1, synced: 1 });
+
+    const saved = await backend.getNote(userId, 'n1');
+    expect(saved.revision).toBe(original.revision + 2);
+    await expect(decrypt(saved)).resolves.toMatchObject({ content: 'after again' });
+  });
+
+  test('backs off after a failure and retries once the delay is over', async () => {
+    await notesDB.createNoteLocally(await encrypt({ id: 'n1', title: 'Offline' }));
+    const saveNote = jest.spyOn(backend, 'saveNote').mockRejectedValueOnce(new Error('Network down'));
+
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 0, failed: 1 });
+    const [operation] = await notesDB.getPendingSync(userId);
+    expect(operation).toMatchObject({ attempts: 1, lastError: 'Network down', nextAttemptAt: now + SYNC_RETRY_BASE_DELAY });
+
+    // Still waiting
+    now += SYNC_RETRY_BASE_DELAY - 1;
+    await syncPendingChanges(userId);
+    expect(saveNote).toHaveBeenCalledTimes(1);
+
+    now += 1;
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 1 });
+    expect(saveNote).toHaveBeenCalledTimes(2);
+  });
+
+  test('doubles the delay after each failure', async () => {
+    await notesDB.createNoteLocally(await encrypt({ id: 'n1', title: 'Offline' }));
+    jest.spyOn(backend, 'saveNote').mockRejectedValue(new Error('Network down'));
+
+    const delays = [];
+    for (let attempt = 1; attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+      await syncPendingChanges(userId);
+      const [operation] = await notesDB.getPendingSync(userId);
+      delays.push(operation.nextAttemptAt - now);
+      waitOutBackoff();
+    }
+    expect(delays).toEqual(delays.map((delay, index) => SYNC_RETRY_BASE_DELAY * 2 ** index));
+    expect(delays.length).toBeGreaterThan(1);
+  });
+
+  test('dead-letters an operation that keeps failing and goes on with the queue', async () => {
+    await notesDB.createNoteLocally(await encrypt({ id: 'bad', title: 'Rejected' }));
+    await notesDB.createNoteLocally(await encrypt({ id: 'good', title: 'Accepted' }));
+    const write = backend.saveNote;
+    jest.spyOn(backend, 'saveNote').mockImplementation(async (uid, note) => {
+      if (note.id === 'bad') throw new Error('Permission denied');
+      return write(uid, note);
+    });
+
+    for (let attempt = 1; attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+      await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 0, deadLettered: 0 });
+      waitOutBackoff();
+    }
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 1, deadLettered: 1 });
+
+    expect((await notesDB.notes.get('bad')).syncStatus).toBe('failed');
+    await expect(notesDB.getDeadLetterCount(userId)).resolves.toBe(1);
+    const { failed } = await notesDB.getSyncActivity(userId);
+    expect(failed[0]).toMatchObject({ noteId: 'bad', attempts: SYNC_MAX_ATTEMPTS, error: 'Permission denied' });
+    await expect(backend.getNote(userId, 'good')).resolves.toMatchObject({ id: 'good' });
+  });
+
+  test('keeps both versions when the note was changed on another device', async () => {
+    const original = await syncedNote({ id: 'n1', title: 'Title', content: 'before' });
+    await editOffline('n1', { content: 'edited here' });
+    const elsewhere = await encrypt({ ...(await decrypt(original)), content: 'edited elsewhere' });
+    await backend.updateNote(userId, 'n1', elsewhere, original.revision);
+
+    await syncPendingChanges(userId);
+
+    const conflict = await notesDB.getConflict('n1');
+    await expect(decrypt(conflict.local)).resolves.toMatchObject({ content: 'edited here' });
+    await expect(decrypt(conflict.remote)).resolves.toMatchObject({ content: 'edited elsewhere' });
+    expect((await notesDB.notes.get('n1')).syncStatus).toBe('conflict');
+    await expect(decrypt(await backend.getNote(userId, 'n1'))).resolves.toMatchObject({ content: 'edited elsewhere' });
+
+    const resolved = await resolveConflict(userId, conflict, { ...(await decrypt(conflict.local)), content: 'merged' });
+
+    expect(resolved.revision).toBe(elsewhere.revision + 1);
+    await expect(decrypt(await backend.getNote(userId, 'n1'))).resolves.toMatchObject({ content: 'merged' });
+    await expect(notesDB.getConflict('n1')).resolves.toBeNull();
+    expect((await notesDB.notes.get('n1')).syncStatus).toBe('synced');
+  });
+
+  test('does not report a conflict for a write the server already has', async () => {
+    await syncedNote({ id: 'n1', title: 'Title', content: 'before' });
+    const edited = await editOffline('n1', { content: 'after' });
+    // The write reached the server, but the tab closed before the queue was updated
+    await backend.updateNote(userId, 'n1', edited);
+
+    await syncPendingChanges(userId);
+
+    await expect(notesDB.getConflict('n1')).resolves.toBeNull();
+    expect((await notesDB.notes.get('n1')).syncStatus).toBe('synced');
+  });
+
+  test('gives notes with temporary offline ids a server id', async () => {
+    const temporaryId = 'offline_1700000000000_abc123';
+    await notesDB.createNoteLocally(await encrypt({ id: temporaryId, title: 'Made offline' }));
+
+    await syncPendingChanges(userId);
+
+    const [serverNote] = await backend.getNotes(userId);
+    expect(serverNote.id).not.toBe(temporaryId);
+    await expect(decrypt(serverNote)).resolves.toMatchObject({ id: serverNote.id, title: 'Made offline' });
+    await expect(notesDB.notes.get(temporaryId)).resolves.toBeUndefined();
+    expect((await notesDB.notes.get(serverNote.id)).syncStatus).toBe('synced');
+  });
+
+  test('deletes the server history of notes deleted for good offline', async () => {
+    const note = await syncedNote({ id: 'n1', title: 'Title', content: 'before' });
+    await recordRevision(userId, note, false);
+    await expect(backend.getNoteRevisions(userId, 'n1')).resolves.toHaveLength(1);
+
+    await deleteNoteForever(userId, 'n1', true);
+    await expect(backend.getNoteRevisions(userId, 'n1')).resolves.toHaveLength(1);
+
+    await expect(syncPendingChanges(userId)).resolves.toMatchObject({ synced: 1 });
+    await expect(backend.getNoteRevisions(userId, 'n1')).resolves.toEqual([]);
+    await expect(backend.getNote(userId, 'n1')).rejects.toMatchObject({ code: 'not-found' });
+  });
+});
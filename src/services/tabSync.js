@@ -0,0 +1,110 @@
+// src/services/tabSync.js
+// Coordinates the app's open tabs over a BroadcastChannel: one tab is elected
+// to run the sync queue, and tabs tell each other when they changed notes in
+// IndexedDB so their lists and editors can reload.
+
+const CHANNEL_NAME = 'confidential-notes';
+const HEARTBEAT_INTERVAL = 2000;
+const LEADER_TIMEOUT = 5000; // a leader silent this long is presumed closed
+const HELLO_TIMEOUT = 500; // how long a new tab waits for a running leader
+
+const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+let channel = null;
+let heartbeatTimer = null;
+let helloTimer = null;
+let leaderId = null;
+let lastHeartbeat = 0;
+const changeListeners = new Set();
+const leaderListeners = new Set();
+
+const post = (message) => {
+  channel.postMessage({ ...message, tabId });
+};
+
+const claimLeadership = () => {
+  leaderId = tabId;
+  post({ type: 'heartbeat' });
+  leaderListeners.forEach(listener => listener());
+};
+
+const handleMessage = ({ data }) => {
+  switch (data.type) {
+    case 'hello':
+      if (leaderId === tabId) post({ type: 'heartbeat' });
+      break;
+    case 'heartbeat':
+      // Two tabs claimed at once - the lower id keeps it
+      if (leaderId === tabId && data.tabId > tabId) return;
+      leaderId = data.tabId;
+      lastHeartbeat = Date.now();
+      break;
+    case 'resign':
+      if (leaderId === data.tabId) claimLeadership();
+      break;
+    case 'notes-changed':
+      changeListeners.forEach(listener => listener(data.userId, data.noteIds));
+      break;
+    default:
+      break;
+  }
+};
+
+const tick = () => {
+  if (leaderId === tabId) {
+    post({ type: 'heartbeat' });
+  } else if (Date.now() - lastHeartbeat > LEADER_TIMEOUT) {
+    claimLeadership();
+  }
+};
+
+export const stopTabSync = () => {
+  if (!channel) return;
+
+  if (leaderId === tabId) post({ type: 'resign' });
+  clearInterval(heartbeatTimer);
+  clearTimeout(helloTimer);
+  channel.close();
+  channel = null;
+  leaderId = null;
+  window.removeEventListener('pagehide', stopTabSync);
+};
+
+export const startTabSync = () => {
+  if (channel) return;
+
+  // Without BroadcastChannel every tab syncs on its own
+  if (typeof BroadcastChannel === 'undefined') {
+    leaderId = tabId;
+    return;
+  }
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = handleMessage;
+
+  // Take over unless a running leader answers the hello
+  lastHeartbeat = Date.now() - LEADER_TIMEOUT;
+  post({ type: 'hello' });
+  helloTimer = setTimeout(tick, HELLO_TIMEOUT);
+  heartbeatTimer = setInterval(tick, HEARTBEAT_INTERVAL);
+  window.addEventListener('pagehide', stopTabSync);
+};
+
+// Whether this tab runs the sync queue
+export const isSyncLeader = () => leaderId === tabId;
+
+// Called whenever this tab becomes the one that runs the sync queue
+export const onSyncLeader = (listener) => {
+  leaderListeners.add(listener);
+  return () => leaderListeners.delete(listener);
+};
+
+// Tell the other tabs that notes changed locally (noteIds null = any note)
+export const broadcastNotesChanged = (userId, noteIds = null) => {
+  if (channel) post({ type: 'notes-changed', userId, noteIds });
+};
+
+export const onNotesChanged = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
@@ -0,0 +1,79 @@
+// src/services/trash.js
+import { updateNote, deleteNote } from './backend';
+import notesDB from './indexedDB';
+import { deleteNoteHistory } from './noteHistory';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../utils/constants';
+
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Move a note into the trash (trashedAt set) or back out of it (null).
+// trashedAt is plain metadata next to the ciphertext, so the note keeps its
+// revision and isn't re-encrypted. Offline, or with local edits still
+// queued, the change goes through the sync queue with the rest of the note.
+const setTrashedAt = async (userId, noteId, trashedAt, isOffline) => {
+  const cached = await notesDB.notes.get(noteId);
+
+  if (!isOffline && (!cached || cached.syncStatus === 'synced')) {
+    await updateNote(userId, noteId, { trashedAt });
+    if (cached) {
+      await notesDB.saveNoteLocally({ ...cached, trashedAt });
+    }
+  } else {
+    await notesDB.updateNoteLocally(noteId, { trashedAt });
+  }
+};
+
+export const trashNote = async (userId, noteId, isOffline) => {
+  await setTrashedAt(userId, noteId, new Date().toISOString(), isOffline);
+};
+
+export const restoreNote = async (userId, noteId, isOffline) => {
+  await setTrashedAt(userId, noteId, null, isOffline);
+};
+
+// Delete a note for good (the server keeps a tombstone so other devices drop it too),
+// along with its revision history. Offline the deletion is queued, and the
+// server's revisions are deleted when it syncs.
+export const deleteNoteForever = async (userId, noteId, isOffline) => {
+  if (isOffline) {
+    await notesDB.deleteNoteLocally(noteId);
+  } else {
+    await deleteNote(userId, noteId);
+    await notesDB.removeNoteLocally(noteId);
+  }
+  await deleteNoteHistory(userId, noteId, isOffline);
+};
+
+// Delete the notes that have been in the trash longer than the retention
+// period. Resolves with the ids of the purged notes.
+export const purgeExpiredTrash = async (userId, retentionDays) => {
+  if (!retentionDays) return [];
+
+  const cutoff = new Date(Date.now() - retentionDays * DAY).toISOString();
+  const expired = (await notesDB.getTrashedNotes(userId)).filter(note => note.trashedAt < cutoff);
+
+  for (const note of expired) {
+    await deleteNoteForever(userId, note.id, false);
+  }
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} notes from the trash`);
+  }
+  return expired.map(note => note.id);
+};
+
+// When a trashed note will be purged (null if never)
+export const getPurgeDate = (note, retentionDays) => {
+  if (!retentionDays || !note.trashedAt) return null;
+  return new Date(Date.parse(note.trashedAt) + retentionDays * DAY);
+};
+
+// Days notes stay in the trash on this device (0 = until deleted by hand)
+export const getTrashRetentionDays = () => {
+  const stored = localStorage.getItem(TRASH_RETENTION_KEY);
+  return stored === null ? DEFAULT_TRASH_RETENTION_DAYS : Number(stored);
+};
+
+export const saveTrashRetentionDays = (days) => {
+  localStorage.setItem(TRASH_RETENTION_KEY, String(days));
+};
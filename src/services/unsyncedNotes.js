@@ -0,0 +1,94 @@
+// src/services/unsyncedNotes.js
+import encryptionService from './encryption';
+import notesDB from './indexedDB';
+import { syncPendingChanges } from './syncEngine';
+
+export const EXPORT_FORMAT = 'secure-notes-unsynced';
+
+// Readable title of an unsynced note, without failing the whole list
+const getTitle = async ({ note }) => {
+  if (!note) return 'Deleted note';
+  if (!note.encrypted) return note.title || 'Untitled Note';
+  if (!encryptionService.hasMasterKey()) return 'Locked note';
+
+  try {
+    return (await encryptionService.decryptNoteField(note, 'title')) || 'Untitled Note';
+  } catch (error) {
+    return 'Unreadable note';
+  }
+};
+
+// Push everything queued right away, skipping the retry backoff (e.g. before
+// signing out). Failures stay queued.
+export const flushPendingChanges = async (userId) => {
+  try {
+    await notesDB.clearSyncBackoff(userId);
+    return await syncPendingChanges(userId);
+  } catch (error) {
+    console.error('Error flushing pending changes:', error);
+    throw error;
+  }
+};
+
+// Notes whose latest changes only exist on this device, with their titles:
+// [{ noteId, title, reasons, note }]
+export const getUnsyncedNotes = async (userId) => {
+  try {
+    const unsynced = await notesDB.getUnsyncedNotes(userId);
+    return Promise.all(unsynced.map(async entry => ({
+      ...entry,
+      title: await getTitle(entry)
+    })));
+  } catch (error) {
+    console.error('Error getting unsynced notes:', error);
+    throw error;
+  }
+};
+
+// A file holding the unsynced notes as they are stored: still encrypted, plus
+// the account's salt, KDF parameters and wrapped data key, so the notes can
+// be decrypted later with the encryption password. Conflicts carry the local
+// side only (the other side is on the server). Deletions have nothing to keep.
+// Revisions recorded offline go in history, encrypted like the notes.
+export const exportUnsyncedNotes = async (userId) => {
+  try {
+    const [unsynced, pendingHistory] = await Promise.all([
+      notesDB.getUnsyncedNotes(userId),
+      notesDB.getPendingHistory(userId)
+    ]);
+    const notes = [];
+
+    for (const { noteId, note, reasons } of unsynced) {
+      // Notes listed only for their revisions are on the server already
+      if (reasons.every(reason => reason === 'history')) continue;
+
+      const conflict = reasons.includes('conflict') ? await notesDB.getConflict(noteId) : null;
+      const local = conflict ? conflict.local : note;
+      if (!local) continue;
+
+      const { syncStatus, localUpdatedAt, baseRevision, trashed, ...stored } = local;
+      notes.push(stored);
+    }
+
+    const { salt, kdf, keyCheck, wrappedKey } = (await notesDB.getEncryptionData(userId)) || {};
+    const exportedAt = new Date().toISOString();
+    const data = {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt,
+      userId,
+      encryption: { salt, kdf, keyCheck, wrappedKey },
+      notes,
+      history: pendingHistory.map(({ syncStatus, ...entry }) => entry)
+    };
+
+    return {
+      blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+      fileName: `secure-notes-unsynced-${exportedAt.slice(0, 10)}.json`,
+      count: notes.length
+    };
+  } catch (error) {
+    console.error('Error exporting unsynced notes:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,109 @@
+// Checklist notes: { items, checkedView }. Items are a flat list in display
+// order, { id, text, checked, depth }, where an item is nested under the
+// closest item before it with a smaller depth. An item's subtree is the item
+// and the deeper items right after it; moves and indents take the subtree along.
+import { bytesToHex } from './helpers';
+import { CHECKLIST_MAX_DEPTH } from './constants';
+
+const TASK_LINE = /^(\s*)(?:[-*+]|\d{1,9}[.)])?\s*(?:\[([ xX])\]\s*)?(.*)$/;
+
+export const createChecklistItem = (text = '', depth = 0, checked = false) => ({
+  id: bytesToHex(window.crypto.getRandomValues(new Uint8Array(8))),
+  text,
+  checked,
+  depth
+});
+
+export const createChecklist = (items = []) => ({ items, checkedView: 'show' });
+
+// Index just past the last descendant of the item at index
+export const getSubtreeEnd = (items, index) => {
+  let end = index + 1;
+  while (end < items.length && items[end].depth > items[index].depth) end++;
+  return end;
+};
+
+export const getProgress = (items) => ({
+  done: items.filter(item => item.checked).length,
+  total: items.length
+});
+
+// Keep every item at most one level below the item before it
+export const normalizeDepths = (items) => items.reduce((normalized, item, index) => {
+  const maxDepth = index === 0 ? 0 : Math.min(normalized[index - 1].depth + 1, CHECKLIST_MAX_DEPTH);
+  const depth = Math.min(Math.max(item.depth, 0), maxDepth);
+  normalized.push(depth === item.depth ? item : { ...item, depth });
+  return normalized;
+}, []);
+
+// Check or uncheck an item together with its nested items
+export const setItemChecked = (items, index, checked) => {
+  const end = getSubtreeEnd(items, index);
+  return items.map((item, i) => (i >= index && i < end ? { ...item, checked } : item));
+};
+
+// Move an item one level in (delta 1) or out (delta -1), with its subtree
+export const indentItem = (items, index, delta) => {
+  const end = getSubtreeEnd(items, index);
+  const maxDepth = index === 0 ? 0 : Math.min(items[index - 1].depth + 1, CHECKLIST_MAX_DEPTH);
+  const depth = Math.min(Math.max(items[index].depth + delta, 0), maxDepth);
+  const shift = depth - items[index].depth;
+  if (shift === 0) return items;
+
+  return items.map((item, i) => (
+    i >= index && i < end ? { ...item, depth: Math.min(item.depth + shift, CHECKLIST_MAX_DEPTH) } : item
+  ));
+};
+
+// Move the item at from (with its subtree) so it lands before the item that
+// is at `to` now (items.length = the end), at the given depth
+export const moveItem = (items, from, to, depth = items[from].depth) => {
+  const end = getSubtreeEnd(items, from);
+  if (to >= from && to <= end) {
+    // Dropped onto itself: only the depth can change
+    return indentItem(items, from, depth - items[from].depth);
+  }
+
+  const subtree = items.slice(from, end);
+  const rest = [...items.slice(0, from), ...items.slice(end)];
+  const insertAt = to > from ? to - subtree.length : to;
+  const maxDepth = insertAt === 0 ? 0 : Math.min(rest[insertAt - 1].depth + 1, CHECKLIST_MAX_DEPTH);
+  const shift = Math.min(Math.max(depth, 0), maxDepth) - subtree[0].depth;
+  const moved = subtree.map(item => ({ ...item, depth: Math.min(item.depth + shift, CHECKLIST_MAX_DEPTH) }));
+
+  return normalizeDepths([...rest.slice(0, insertAt), ...moved, ...rest.slice(insertAt)]);
+};
+
+// Remove an item; its nested items move up a level
+export const removeItem = (items, index) => {
+  const end = getSubtreeEnd(items, index);
+  return normalizeDepths(items
+    .map((item, i) => (i > index && i < end ? { ...item, depth: item.depth - 1 } : item))
+    .filter((_, i) => i !== index));
+};
+
+// Markdown task list of the items, kept as the note's content so search,
+// previews, history and conflict diffs work on checklists too
+export const checklistToText = ({ items }) => items
+  .map(item => `${'  '.repeat(item.depth)}- [${item.checked ? 'x' : ' '}] ${item.text}`)
+  .join('\n');
+
+// Items from text: one per non-blank line, nested by indentation, checked
+// when the line is a done task (- [x])
+export const parseChecklistText = (text) => {
+  const indents = [];
+  const items = [];
+
+  (text || '').split('\n').forEach(line => {
+    if (!line.trim()) return;
+
+    const [, indent, mark, body] = line.match(TASK_LINE);
+    const width = indent.replace(/\t/g, '    ').length;
+    while (indents.length > 0 && indents[indents.length - 1] >= width) indents.pop();
+    indents.push(width);
+
+    items.push(createChecklistItem(body.trim(), indents.length - 1, !!mark && mark !== ' '));
+  });
+
+  return normalizeDepths(items);
+};
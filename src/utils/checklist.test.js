@@ -0,0 +1,120 @@
+import {
+  getSubtreeEnd,
+  getProgress,
+  normalizeDepths,
+  setItemChecked,
+  indentItem,
+  moveItem,
+  removeItem,
+  checklistToText
+} from './checklist';
+import { CHECKLIST_MAX_DEPTH } from './constants';
+
+// Items from [id, depth] pairs; the text is the id
+const list = (...entries) => entries.map(([id, depth, checked = false]) => ({ id, text: id, checked, depth }));
+const shape = (items) => items.map(item => [item.id, item.depth]);
+
+describe('getSubtreeEnd', () => {
+  const items = list(['a', 0], ['a1', 1], ['a1x', 2], ['a2', 1], ['b', 0]);
+
+  test('spans an item and its nested items', () => {
+    expect(getSubtreeEnd(items, 0)).toBe(4);
+    expect(getSubtreeEnd(items, 1)).toBe(3);
+  });
+
+  test('is the next index for an item without nested items', () => {
+    expect(getSubtreeEnd(items, 3)).toBe(4);
+    expect(getSubtreeEnd(items, 4)).toBe(5);
+  });
+});
+
+describe('getProgress', () => {
+  test('counts checked items', () => {
+    expect(getProgress(list(['a', 0, true], ['b', 0], ['c', 1, true]))).toEqual({ done: 2, total: 3 });
+  });
+});
+
+describe('normalizeDepths', () => {
+  test('keeps each item at most one level below the one before it', () => {
+    expect(shape(normalizeDepths(list(['a', 2], ['b', 3], ['c', 1])))).toEqual([['a', 0], ['b', 1], ['c', 1]]);
+  });
+});
+
+describe('setItemChecked', () => {
+  test('checks an item together with its nested items', () => {
+    const items = setItemChecked(list(['a', 0], ['a1', 1], ['b', 0]), 0, true);
+    expect(items.map(item => item.checked)).toEqual([true, true, false]);
+  });
+});
+
+describe('indentItem', () => {
+  const items = list(['a', 0], ['b', 0], ['b1', 1]);
+
+  test('nests an item under the one before it, with its subtree', () => {
+    expect(shape(indentItem(items, 1, 1))).toEqual([['a', 0], ['b', 1], ['b1', 2]]);
+  });
+
+  test('does not nest the first item or nest deeper than one level below the previous item', () => {
+    expect(indentItem(items, 0, 1)).toBe(items);
+    expect(indentItem(items, 2, 1)).toBe(items);
+  });
+
+  test('moves an item out a level, with its subtree', () => {
+    const nested = list(['a', 0], ['b', 1], ['b1', 2]);
+    expect(shape(indentItem(nested, 1, -1))).toEqual([['a', 0], ['b', 0], ['b1', 1]]);
+    expect(indentItem(list(['a', 0]), 0, -1)).toEqual(list(['a', 0]));
+  });
+
+  test('stops at the maximum depth', () => {
+    const deep = list(...Array.from({ length: CHECKLIST_MAX_DEPTH + 2 }, (_, i) => [`i${i}`, Math.min(i, CHECKLIST_MAX_DEPTH)]));
+    const last = deep.length - 1;
+    expect(indentItem(deep, last, 1)[last].depth).toBe(CHECKLIST_MAX_DEPTH);
+  });
+});
+
+describe('moveItem', () => {
+  const items = list(['a', 0], ['a1', 1], ['b', 0], ['c', 0]);
+
+  test('moves an item down with its nested items', () => {
+    expect(shape(moveItem(items, 0, 4))).toEqual([['b', 0], ['c', 0], ['a', 0], ['a1', 1]]);
+  });
+
+  test('moves an item up', () => {
+    expect(shape(moveItem(items, 3, 0))).toEqual([['c', 0], ['a', 0], ['a1', 1], ['b', 0]]);
+  });
+
+  test('nests a moved item at the requested depth', () => {
+    expect(shape(moveItem(items, 3, 2, 1))).toEqual([['a', 0], ['a1', 1], ['c', 1], ['b', 0]]);
+  });
+
+  test('limits the depth to one level below the item it lands after', () => {
+    expect(shape(moveItem(items, 3, 0, 2))).toEqual([['c', 0], ['a', 0], ['a1', 1], ['b', 0]]);
+    expect(shape(moveItem(items, 3, 1, 3))).toEqual([['a', 0], ['c', 1], ['a1', 1], ['b', 0]]);
+  });
+
+  test('only changes the depth when dropped onto itself', () => {
+    expect(shape(moveItem(items, 2, 2, 1))).toEqual([['a', 0], ['a1', 1], ['b', 1], ['c', 0]]);
+    expect(shape(moveItem(items, 0, 1))).toEqual(shape(items));
+  });
+
+  test('does not move an item into its own subtree', () => {
+    expect(shape(moveItem(items, 0, 1, 0))).toEqual(shape(items));
+  });
+});
+
+describe('removeItem', () => {
+  test('moves the removed item\'s nested items up a level', () => {
+    const items = list(['a', 0], ['b', 0], ['b1', 1], ['b1x', 2], ['c', 0]);
+    expect(shape(removeItem(items, 1))).toEqual([['a', 0], ['b1', 0], ['b1x', 1], ['c', 0]]);
+  });
+
+  test('re-levels nested items left without a parent', () => {
+    expect(shape(removeItem(list(['a', 0], ['a1', 1]), 0))).toEqual([['a1', 0]]);
+  });
+});
+
+describe('checklistToText', () => {
+  test('writes a Markdown task list', () => {
+    expect(checklistToText({ items: list(['a', 0, true], ['b', 1]) })).toBe('- [x] a\n  - [ ] b');
+  });
+});
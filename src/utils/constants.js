@@ -1,2 +1,44 @@
-export const ENCRYPTION_ITERATIONS = 100000;
-export const SYNC_INTERVAL = 30000; // 30 seconds
\ No newline at end of file
+// PBKDF2-SHA256 iterations for new keys (OWASP 2023 guidance)
+export const ENCRYPTION_ITERATIONS = 600000;
+export const SYNC_INTERVAL = 30000; // 30 seconds
+
+// Failed sync operations are retried after 15s, 30s, 1 min, ... (at most 15
+// min apart), then moved to the dead-letter table
+export const SYNC_MAX_ATTEMPTS = 5;
+export const SYNC_RETRY_BASE_DELAY = 15000;
+export const SYNC_RETRY_MAX_DELAY = 15 * 60 * 1000;
+export const SYNC_HISTORY_LIMIT = 50; // synced operations kept for the sync panel
+export const NOTES_SYNC_TAG = 'notes-sync'; // background-sync tag the service worker listens for
+export const OFFLINE_AUTH_TIMEOUT = 3000; // wait this long for Firebase auth before an offline session
+export const RECOVERY_PHRASE_WORDS = 12;
+
+// Minutes of inactivity before the notes are locked (0 = never)
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60];
+
+// Days a note stays in the trash before it is deleted for good (0 = never)
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+export const UNDO_TIMEOUT = 8000; // how long the undo toast stays after a delete
+
+// Revision history retention: every save from the last hour, then the latest
+// of each hour for a day, then the latest of each day
+export const HISTORY_KEEP_ALL_FOR = 60 * 60 * 1000;
+export const HISTORY_KEEP_HOURLY_FOR = 24 * 60 * 60 * 1000;
+
+// Note editor layouts: the Markdown source, the rendered note, or both side by side
+export const EDITOR_MODES = ['edit', 'split', 'preview'];
+export const DEFAULT_EDITOR_MODE = 'edit';
+
+// Checklist notes: how deep items nest, and how checked items are shown
+// (in place, folded into a section at the end, or not at all)
+export const CHECKLIST_MAX_DEPTH = 4;
+export const CHECKED_ITEM_VIEWS = ['show', 'collapse', 'hide'];
+
+// Key derivation parameters, stored next to each salt
+export const PBKDF2_KDF = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_ITERATIONS };
+export const SCRYPT_KDF = { algorithm: 'scrypt', N: 32768, r: 8, p: 1 }; // memory-hard, 32 MB
+export const DEFAULT_KDF = PBKDF2_KDF;
+
+// Salts saved without parameters were derived with 10,000 PBKDF2 iterations
+export const LEGACY_KDF = { algorithm: 'PBKDF2', hash: 'SHA-256', iterations: 10000 };
\ No newline at end of file
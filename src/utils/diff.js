@@ -0,0 +1,139 @@
+// Past this many cells (lines of mine x lines of theirs) the LCS table costs
+// too much memory, and the lines in between are aligned with Myers' diff
+const MAX_TABLE_CELLS = 1000000;
+
+// Myers' diff gives up after this many added or removed lines; the lines
+// left over are shown as one change
+const MAX_EDITS = 1000;
+
+// Longest common subsequence of two lists of lines, as [side, line] steps
+// with side 'same', 'mine' or 'theirs'
+const alignByTable = (mine, theirs) => {
+  // common[i][j] = length of the LCS of mine[i..] and theirs[j..]
+  const common = Array.from({ length: mine.length + 1 }, () => new Array(theirs.length + 1).fill(0));
+  for (let i = mine.length - 1; i >= 0; i--) {
+    for (let j = theirs.length - 1; j >= 0; j--) {
+      common[i][j] = mine[i] === theirs[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < mine.length || j < theirs.length) {
+    if (i < mine.length && j < theirs.length && mine[i] === theirs[j]) {
+      steps.push(['same', mine[i]]);
+      i++;
+      j++;
+    } else if (j < theirs.length && (i >= mine.length || common[i][j + 1] >= common[i + 1][j])) {
+      steps.push(['theirs', theirs[j]]);
+      j++;
+    } else {
+      steps.push(['mine', mine[i]]);
+      i++;
+    }
+  }
+  return steps;
+};
+
+// Myers' O((n + m) * d) diff, d being the number of edits. Keeps the
+// furthest x reached on each diagonal k = x - y for every d to walk back
+// from the end; null if the texts need more than maxEdits edits.
+const alignByEdits = (mine, theirs, maxEdits) => {
+  const max = Math.min(mine.length + theirs.length, maxEdits);
+  const offset = max + 1;
+  const furthest = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Whether diagonal k is reached from k + 1 (a line of theirs added) rather
+  // than from k - 1 (a line of mine removed), given the furthest x of the previous d
+  const fromAbove = (k, d, x) => k === -d || (k !== d && x(k - 1) < x(k + 1));
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(furthest.slice(offset - d, offset + d + 1));
+    const previous = (k) => furthest[k + offset];
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = fromAbove(k, d, previous) ? previous(k + 1) : previous(k - 1) + 1;
+      let y = x - k;
+      while (x < mine.length && y < theirs.length && mine[x] === theirs[y]) {
+        x++;
+        y++;
+      }
+      furthest[k + offset] = x;
+
+      if (x >= mine.length && y >= theirs.length) {
+        const steps = [];
+        for (let step = d; step > 0; step--) {
+          const reached = (diagonal) => trace[step][diagonal + step];
+          const k = x - y;
+          const previousK = fromAbove(k, step, reached) ? k + 1 : k - 1;
+          const previousX = reached(previousK);
+          const previousY = previousX - previousK;
+
+          for (; x > previousX && y > previousY; x--, y--) steps.push(['same', mine[x - 1]]);
+          steps.push(x === previousX ? ['theirs', theirs[previousY]] : ['mine', mine[previousX]]);
+          x = previousX;
+          y = previousY;
+        }
+        for (; x > 0; x--) steps.push(['same', mine[x - 1]]);
+        return steps.reverse();
+      }
+    }
+  }
+  return null;
+};
+
+// Line diff of two texts. Lines both start and end with are matched first,
+// then the rest by their longest common subsequence, or by Myers' diff when
+// that is too large to tabulate.
+// Returns hunks of { type: 'same', lines } and { type: 'change', mine, theirs }.
+export const diffLines = (mineText, theirsText) => {
+  const mine = (mineText || '').split('\n');
+  const theirs = (theirsText || '').split('\n');
+
+  const shorter = Math.min(mine.length, theirs.length);
+  let start = 0;
+  while (start < shorter && mine[start] === theirs[start]) start++;
+  let end = 0;
+  while (end < shorter - start && mine[mine.length - 1 - end] === theirs[theirs.length - 1 - end]) end++;
+
+  const mineMiddle = mine.slice(start, mine.length - end);
+  const theirsMiddle = theirs.slice(start, theirs.length - end);
+  const middle = (mineMiddle.length * theirsMiddle.length <= MAX_TABLE_CELLS
+    ? alignByTable(mineMiddle, theirsMiddle)
+    : alignByEdits(mineMiddle, theirsMiddle, MAX_EDITS)) || [
+    ...mineMiddle.map(line => ['mine', line]),
+    ...theirsMiddle.map(line => ['theirs', line])
+  ];
+
+  const steps = [
+    ...mine.slice(0, start).map(line => ['same', line]),
+    ...middle,
+    ...mine.slice(mine.length - end).map(line => ['same', line])
+  ];
+
+  return steps.reduce((hunks, [side, line]) => {
+    const type = side === 'same' ? 'same' : 'change';
+    let hunk = hunks[hunks.length - 1];
+    if (!hunk || hunk.type !== type) {
+      hunk = type === 'same' ? { type, lines: [] } : { type, mine: [], theirs: [] };
+      hunks.push(hunk);
+    }
+    hunk[type === 'same' ? 'lines' : side].push(line);
+    return hunks;
+  }, []);
+};
+
+// Rebuild a text from diff hunks, taking 'mine', 'theirs' or 'both' for each change
+export const mergeHunks = (hunks, choices) => {
+  return hunks.flatMap((hunk, index) => {
+    if (hunk.type === 'same') return hunk.lines;
+
+    const choice = choices[index] || 'mine';
+    if (choice === 'both') return [...hunk.mine, ...hunk.theirs];
+    return choice === 'theirs' ? hunk.theirs : hunk.mine;
+  }).join('\n');
+};
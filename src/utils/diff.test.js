@@ -0,0 +1,80 @@
+import { diffLines, mergeHunks } from './diff';
+
+describe('diffLines', () => {
+  test('returns one unchanged hunk for equal texts', () => {
+    expect(diffLines('one\ntwo', 'one\ntwo')).toEqual([{ type: 'same', lines: ['one', 'two'] }]);
+  });
+
+  test('groups changed lines between unchanged ones', () => {
+    expect(diffLines('one\ntwo\nthree', 'one\n2\nthree')).toEqual([
+      { type: 'same', lines: ['one'] },
+      { type: 'change', mine: ['two'], theirs: ['2'] },
+      { type: 'same', lines: ['three'] }
+    ]);
+  });
+
+  test('reports lines only one side added', () => {
+    expect(diffLines('one\nthree', 'one\ntwo\nthree')).toEqual([
+      { type: 'same', lines: ['one'] },
+      { type: 'change', mine: [], theirs: ['two'] },
+      { type: 'same', lines: ['three'] }
+    ]);
+  });
+
+  test('treats missing text as empty', () => {
+    expect(diffLines(null, undefined)).toEqual([{ type: 'same', lines: [''] }]);
+  });
+
+  describe('long texts', () => {
+    const lines = (count, name = 'line') => Array.from({ length: count }, (_, index) => `${name} ${index}`);
+
+    // Both sides of a diff, as mergeHunks rebuilds them
+    const sides = (hunks) => [
+      mergeHunks(hunks, {}),
+      mergeHunks(hunks, Object.fromEntries(hunks.map((hunk, index) => [index, 'theirs'])))
+    ];
+
+    test('align texts too long for the table by their edits', () => {
+      const mine = lines(3000);
+      const theirs = [...mine];
+      theirs[0] = 'first';
+      theirs.splice(1500, 1, 'middle', 'added');
+      theirs[theirs.length - 1] = 'last';
+
+      const hunks = diffLines(mine.join('\n'), theirs.join('\n'));
+
+      expect(hunks.filter(hunk => hunk.type === 'change')).toEqual([
+        { type: 'change', mine: ['line 0'], theirs: ['first'] },
+        { type: 'change', mine: ['line 1500'], theirs: ['middle', 'added'] },
+        { type: 'change', mine: ['line 2999'], theirs: ['last'] }
+      ]);
+      expect(sides(hunks)).toEqual([mine.join('\n'), theirs.join('\n')]);
+    });
+
+    test('show texts with too many edits as one change', () => {
+      const mine = lines(3000).join('\n');
+      const theirs = lines(3000, 'other').join('\n');
+
+      const hunks = diffLines(mine, theirs);
+
+      expect(hunks).toHaveLength(1);
+      expect(sides(hunks)).toEqual([mine, theirs]);
+    });
+  });
+});
+
+describe('mergeHunks', () => {
+  const hunks = diffLines('one\ntwo\nthree\nfour', 'one\nTWO\nthree\nFOUR');
+
+  test('takes my side of changes without a choice', () => {
+    expect(mergeHunks(hunks, {})).toBe('one\ntwo\nthree\nfour');
+  });
+
+  test('applies the choice made for each change', () => {
+    expect(mergeHunks(hunks, { 1: 'theirs', 3: 'both' })).toBe('one\nTWO\nthree\nfour\nFOUR');
+  });
+
+  test('rebuilds the other side when every change is theirs', () => {
+    expect(mergeHunks(hunks, { 1: 'theirs', 3: 'theirs' })).toBe('one\nTWO\nthree\nFOUR');
+  });
+});
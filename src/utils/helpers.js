@@ -1,3 +1,32 @@
 export const formatDate = (date) => {
   return new Date(date).toLocaleDateString();
-};
\ No newline at end of file
+};
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = window.atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const bytesToHex = (bytes) => {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const hexToBytes = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
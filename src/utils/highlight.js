@@ -0,0 +1,157 @@
+// Syntax highlighting for fenced code blocks: splits code into tokens
+// ({ type, text }) that MarkdownPreview renders as spans with a token-<type>
+// class. Types: keyword, string, comment, number, literal, property, tag,
+// attribute, variable, plain. Unknown languages come back as one plain token.
+
+const words = (list) => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, 'y');
+
+const C_LIKE = {
+  comment: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y,
+  number: /\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/y
+};
+
+const DOUBLE_QUOTED = /"(?:\\[\s\S]|[^"\\\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\[\s\S]|[^'\\\n])*'?/y;
+
+const LANGUAGES = {
+  javascript: [
+    ['comment', C_LIKE.comment],
+    ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['keyword', words('async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield interface type enum implements private protected public readonly as')],
+    ['literal', words('true false null undefined NaN Infinity')],
+    ['number', C_LIKE.number]
+  ],
+  json: [
+    ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+    ['string', DOUBLE_QUOTED],
+    ['literal', words('true false null')],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]
+  ],
+  python: [
+    ['comment', /#[^\n]*/y],
+    ['string', /(?:[rbuf]|rb|br|fr|rf)?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/iy],
+    ['string', /(?:[rbuf]|rb|br|fr|rf)?(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/iy],
+    ['keyword', words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case')],
+    ['literal', words('True False None')],
+    ['number', C_LIKE.number]
+  ],
+  bash: [
+    ['comment', /#[^\n]*/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['variable', /\$(?:\{[^}\n]*\}|\w+|[@*#?$!0-9-])/y],
+    ['keyword', words('if then else elif fi for while until do done case esac in function return local export readonly unset shift exit break continue source alias sudo echo cd')],
+    ['number', /\b\d+\b/y]
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['keyword', /@[\w-]+/y],
+    ['property', /[\w-]+(?=\s*:(?!:))/y],
+    ['number', /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:%|[a-zA-Z]+)?/y],
+    ['literal', /!important\b/y]
+  ],
+  html: [
+    ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+    ['tag', /<\/?[\w:-]+|\/?>/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['attribute', /[\w:-]+(?==)/y],
+    ['literal', /&[#\w]+;/y]
+  ],
+  sql: [
+    ['comment', /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', SINGLE_QUOTED],
+    ['property', DOUBLE_QUOTED],
+    ['keyword', new RegExp(words('select from where and or not insert into values update set delete create table drop alter add index primary key foreign references join left right inner outer full on as group by order having limit offset distinct union all case when then else end is null like in between exists returning with default').source, 'iy')],
+    ['literal', new RegExp(words('true false null').source, 'iy')],
+    ['number', /\b\d+(?:\.\d+)?\b/y]
+  ],
+  clike: [
+    ['comment', C_LIKE.comment],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['keyword', words('auto bool break case catch char class const continue default defer delete do double else enum extern final float fn for func go goto if impl import int interface let long loop match mod mut namespace new package private protected pub public return short signed sizeof static struct super switch template this throw throws trait try type typedef union unsigned use using var virtual void volatile where while')],
+    ['literal', words('true false null nil nullptr None Some Ok Err self')],
+    ['number', C_LIKE.number]
+  ]
+};
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  typescript: 'javascript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  scss: 'css',
+  less: 'css',
+  xml: 'html',
+  svg: 'html',
+  c: 'clike',
+  cpp: 'clike',
+  'c++': 'clike',
+  cs: 'clike',
+  csharp: 'clike',
+  java: 'clike',
+  kotlin: 'clike',
+  go: 'clike',
+  rust: 'clike',
+  rs: 'clike',
+  swift: 'clike',
+  php: 'clike'
+};
+
+export const getLanguage = (lang) => {
+  const name = (lang || '').toLowerCase();
+  return LANGUAGES[name] ? name : (ALIASES[name] || null);
+};
+
+export const highlightCode = (code, lang) => {
+  const language = getLanguage(lang);
+  if (!language) return [{ type: 'plain', text: code }];
+
+  const rules = LANGUAGES[language];
+  const tokens = [];
+  const addToken = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  while (i < code.length) {
+    let matched = false;
+
+    // Rules only start on a new word, so keywords inside names aren't matched
+    if (!/\w/.test(code[i - 1] || '') || !/\w/.test(code[i])) {
+      for (const [type, pattern] of rules) {
+        pattern.lastIndex = i;
+        const match = pattern.exec(code);
+        if (match && match[0].length > 0) {
+          addToken(type, match[0]);
+          i += match[0].length;
+          matched = true;
+          break;
+        }
+      }
+    }
+
+    if (!matched) {
+      addToken('plain', code[i]);
+      i++;
+    }
+  }
+
+  return tokens;
+};
@@ -0,0 +1,478 @@
+// Markdown parsed into a tree that MarkdownPreview renders as React elements.
+// Nothing from a note is ever turned into HTML: raw HTML stays text, and
+// links only keep URLs that can't run script (see isSafeUrl).
+//
+// Blocks: { type: 'heading', level, children }, { type: 'paragraph', children },
+// { type: 'code', lang, text }, { type: 'quote', blocks }, { type: 'hr' },
+// { type: 'list', ordered, start, items: [{ checked, blocks }] } (checked is
+// null unless the item is a task) and { type: 'table', align, header, rows }.
+// Inline: { type: 'text', text }, { type: 'code', text }, { type: 'break' },
+// { type: 'strong' | 'em' | 'del', children } and { type: 'link', href, title, children }.
+// Links to unsafe URLs keep only their text: { type: 'span', children }.
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w#+.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^(\s*)([-*+]|(\d{1,9})[.)])(\s+|$)/;
+const TASK = /^\[([ xX])\]\s+/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Deepest nesting of quotes, lists, emphasis and links that is parsed; past
+// it the rest is kept as plain text, so pathological input can't overflow
+// the stack
+const MAX_NESTING = 32;
+
+// Schemes a link may use; anything else (javascript:, data:, ...) is dropped
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+export const isSafeUrl = (url) => {
+  // Browsers ignore control characters and whitespace inside a scheme
+  const normalized = Array.from(url)
+    .filter(char => char.charCodeAt(0) > 32 && char.charCodeAt(0) !== 127)
+    .join('')
+    .toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !scheme || SAFE_SCHEMES.includes(scheme[0]);
+};
+
+const isBlank = (line) => line.trim() === '';
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Drop up to `width` columns of leading indentation
+const outdent = (line, width) => {
+  let column = 0;
+  let i = 0;
+  while (i < line.length && column < width && (line[i] === ' ' || line[i] === '\t')) {
+    column += line[i] === '\t' ? 4 : 1;
+    i++;
+  }
+  return line.slice(i);
+};
+
+// Cells of a table row; \| is a pipe inside a cell
+const splitTableRow = (line) => {
+  const cells = [''];
+  const row = line.trim();
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += row[i];
+    }
+  }
+
+  if (row.startsWith('|')) cells.shift();
+  if (cells.length > 1 && row.endsWith('|') && !row.endsWith('\\|')) cells.pop();
+  return cells.map(cell => cell.trim());
+};
+
+const isTableStart = (lines, i) =>
+  lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER.test(lines[i + 1]);
+
+// Whether a line ends the paragraph before it
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+    LIST_ITEM.test(line) || isTableStart(lines, i);
+};
+
+// --- Inline ---------------------------------------------------------------
+
+// Inline patterns are sticky and matched at the current position with
+// matchAt. Rules with an open pattern search ahead for their closing
+// delimiter; whether one closes doesn't depend on where the rule opens, so
+// once a rule opens but finds none it isn't tried again further on (or every
+// unmatched * or _ would rescan the rest of the text).
+const INLINE_RULES = [
+  { type: 'strong', open: /\*\*(?=\S)/y, pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y },
+  { type: 'strong', open: /__(?=\S)/y, pattern: /__(?=\S)([\s\S]*?\S)__(?!\w)/y, wordStart: true },
+  { type: 'em', open: /\*(?=[^\s*])/y, pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/y },
+  { type: 'em', pattern: /\*(?=[^\s*])([^*])\*/y },
+  { type: 'em', open: /_(?=[^\s_])/y, pattern: /_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/y, wordStart: true },
+  { type: 'em', pattern: /_([^\s_])_(?!\w)/y, wordStart: true },
+  { type: 'del', open: /~~(?=\S)/y, pattern: /~~(?=\S)([\s\S]*?\S)~~/y }
+];
+
+const LINK_TARGET = /\(\s*(?:<([^<>\n]*)>|([^\s()]*(?:\([^\s()]*\)[^\s()]*)*))(?:\s+"([^"]*)")?\s*\)/y;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/iy;
+const BARE_URL = /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/iy;
+const DELIMITER_RUN = /([*_~])\1*/y;
+const BACKTICKS = /`+/y;
+const ESCAPABLE = '\\`*_{}[]()#+-.!|~<>"\'';
+
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+// The index of the `]` closing each `[` of the text, in one pass (brackets
+// left open have no entry)
+const matchBrackets = (text) => {
+  const ends = new Map();
+  const open = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      open.push(i);
+    } else if (text[i] === ']' && open.length > 0) {
+      ends.set(open.pop(), i);
+    }
+  }
+  return ends;
+};
+
+const trimTrailingSpaces = (text) => {
+  let end = text.length;
+  while (end > 0 && text[end - 1] === ' ') end--;
+  return text.slice(0, end);
+};
+
+const linkNode = (href, title, children) => (
+  isSafeUrl(href) ? { type: 'link', href, title: title || null, children } : { type: 'span', children }
+);
+
+export const parseInline = (text, depth = 0) => {
+  if (depth >= MAX_NESTING) return text ? [{ type: 'text', text }] : [];
+
+  const nodes = [];
+  let buffer = '';
+  let labelEnds = null;
+  // Rules (by index) and backtick run lengths known not to close anywhere further on
+  const unclosedRules = new Set();
+  const unclosedTicks = new Set();
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const previous = i > 0 ? text[i - 1] : '';
+
+    if (char === '\\' && i + 1 < text.length && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\\' && text[i + 1] === '\n') {
+      push({ type: 'break' });
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      buffer = trimTrailingSpaces(buffer);
+      push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const ticks = matchAt(BACKTICKS, text, i)[0];
+      const end = unclosedTicks.has(ticks.length) ? -1 : text.indexOf(ticks, i + ticks.length);
+      if (end === -1) unclosedTicks.add(ticks.length);
+      if (end !== -1 && text[end + ticks.length] !== '`') {
+        const code = text.slice(i + ticks.length, end).replace(/\n/g, ' ');
+        push({ type: 'code', text: code.length > 2 && /^ .* $/.test(code) ? code.slice(1, -1) : code });
+        i = end + ticks.length;
+        continue;
+      }
+      buffer += ticks;
+      i += ticks.length;
+      continue;
+    }
+
+    // Links, and images, which are shown as links so notes can't load
+    // remote content when they are opened
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const labelStart = char === '!' ? i + 1 : i;
+      if (!labelEnds) labelEnds = matchBrackets(text);
+      const labelEnd = labelEnds.has(labelStart) ? labelEnds.get(labelStart) : -1;
+      const target = labelEnd !== -1 ? matchAt(LINK_TARGET, text, labelEnd + 1) : null;
+      if (target) {
+        const label = text.slice(labelStart + 1, labelEnd);
+        const href = target[1] !== undefined ? target[1] : target[2];
+        push(linkNode(href, target[3], parseInline(label || href, depth + 1)));
+        i = labelEnd + 1 + target[0].length;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = matchAt(AUTOLINK, text, i);
+      if (autolink) {
+        push(linkNode(autolink[1], null, [{ type: 'text', text: autolink[1] }]));
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if ((char === 'h' || char === 'H') && !/[\w/]/.test(previous)) {
+      const url = matchAt(BARE_URL, text, i);
+      if (url) {
+        push(linkNode(url[0], null, [{ type: 'text', text: url[0] }]));
+        i += url[0].length;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_' || char === '~') {
+      let emphasis = null;
+      for (let rule = 0; rule < INLINE_RULES.length && !emphasis; rule++) {
+        const { type, open, pattern, wordStart } = INLINE_RULES[rule];
+        if (unclosedRules.has(rule) || (wordStart && /\w/.test(previous))) continue;
+
+        const match = matchAt(pattern, text, i);
+        if (match) {
+          emphasis = { type, match };
+        } else if (open && matchAt(open, text, i)) {
+          unclosedRules.add(rule);
+        }
+      }
+      if (emphasis) {
+        push({ type: emphasis.type, children: parseInline(emphasis.match[1], depth + 1) });
+        i += emphasis.match[0].length;
+        continue;
+      }
+      const run = matchAt(DELIMITER_RUN, text, i)[0];
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+// --- Blocks ---------------------------------------------------------------
+
+const parseList = (lines, start, depth) => {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = first[3] !== undefined;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || indentOf(match[1]) !== baseIndent || (match[3] !== undefined) !== ordered) break;
+
+    // Continuation lines are indented past the marker
+    const contentIndent = baseIndent + match[2].length + Math.max(1, Math.min(match[4].length, 4));
+    const itemLines = [lines[i].slice(match[0].length)];
+    i++;
+
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+          for (; i < next; i++) itemLines.push('');
+          continue;
+        }
+        break;
+      }
+      if (indentOf(lines[i]) > baseIndent) {
+        itemLines.push(outdent(lines[i], contentIndent));
+      } else if (!startsBlock(lines, i) && !isBlank(itemLines[itemLines.length - 1])) {
+        // A lazy continuation of the item's paragraph
+        itemLines.push(lines[i]);
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    let checked = null;
+    const task = itemLines[0].match(TASK);
+    if (task) {
+      checked = task[1] !== ' ';
+      itemLines[0] = itemLines[0].slice(task[0].length);
+    }
+
+    items.push({ checked, blocks: parseBlocks(itemLines, depth + 1) });
+
+    // A blank line between items doesn't end the list
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) next++;
+    if (next < lines.length && LIST_ITEM.test(lines[next])) i = next;
+  }
+
+  return {
+    block: { type: 'list', ordered, start: ordered ? parseInt(first[3], 10) : null, items },
+    next: i
+  };
+};
+
+const parseTable = (lines, start) => {
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitTableRow(lines[i]);
+    rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+    i++;
+  }
+
+  return {
+    block: { type: 'table', align: header.map((_, column) => align[column] || null), header: header.map(cell => parseInline(cell)), rows },
+    next: i
+  };
+};
+
+export const parseBlocks = (lines, depth = 0) => {
+  if (depth >= MAX_NESTING) {
+    const text = lines.filter(line => !isBlank(line)).map(line => line.trim()).join('\n');
+    return text ? [{ type: 'paragraph', children: parseInline(text) }] : [];
+  }
+
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const indent = indentOf(line);
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(outdent(lines[i], indent));
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), text: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted, depth + 1) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i, depth);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const { block, next } = parseTable(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    // An indented block of code
+    if (indentOf(line) >= 4 && (blocks.length === 0 || blocks[blocks.length - 1].type !== 'paragraph')) {
+      const code = [];
+      while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+        code.push(outdent(lines[i], 4));
+        i++;
+      }
+      while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+      blocks.push({ type: 'code', lang: '', text: code.join('\n') });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+
+    // A line of === or --- under a paragraph makes it a heading
+    const last = paragraph[paragraph.length - 1];
+    if (paragraph.length > 1 && /^=+$/.test(last)) {
+      blocks.push({ type: 'heading', level: 1, children: parseInline(paragraph.slice(0, -1).join('\n')) });
+    } else {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+
+  return blocks;
+};
+
+export const parseMarkdown = (text) => parseBlocks((text || '').replace(/\r\n?/g, '\n').split('\n'));
+
+// --- Plain text -----------------------------------------------------------
+
+const inlineText = (nodes) => nodes.map(node => {
+  if (node.type === 'text' || node.type === 'code') return node.text;
+  if (node.type === 'break') return ' ';
+  return inlineText(node.children);
+}).join('');
+
+const blockText = (block) => {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return inlineText(block.children);
+    case 'code':
+      return block.text;
+    case 'quote':
+      return blocksText(block.blocks);
+    case 'list':
+      return block.items.map(item => blocksText(item.blocks)).join(' ');
+    case 'table':
+      return [block.header, ...block.rows].map(row => row.map(inlineText).join(' ')).join(' ');
+    default:
+      return '';
+  }
+};
+
+const blocksText = (blocks) => blocks.map(blockText).filter(Boolean).join(' ');
+
+// The text of a note without its Markdown syntax, on one line (card previews)
+export const stripMarkdown = (text) => blocksText(parseMarkdown(text)).replace(/\s+/g, ' ').trim();
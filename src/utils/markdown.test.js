@@ -0,0 +1,130 @@
+import { isSafeUrl, parseMarkdown, parseInline, stripMarkdown } from './markdown';
+
+describe('isSafeUrl', () => {
+  test.each([
+    'https://example.com',
+    'http://example.com/a?b=c',
+    'mailto:someone@example.com',
+    '/relative/path',
+    'page.html',
+    '#section',
+    'HTTPS://EXAMPLE.COM'
+  ])('allows %s', (url) => {
+    expect(isSafeUrl(url)).toBe(true);
+  });
+
+  test.each([
+    'javascript:alert(1)', // eslint-disable-line no-script-url
+    'JavaScript:alert(1)', // eslint-disable-line no-script-url
+    ' javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    '\u0001javascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox',
+    'file:///etc/passwd'
+  ])('rejects %j', (url) => {
+    expect(isSafeUrl(url)).toBe(false);
+  });
+});
+
+describe('parseInline', () => {
+  test('parses emphasis, code and links', () => {
+    expect(parseInline('**bold** *em* ~~del~~ `code` [link](https://example.com "Title")')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'em' }] },
+      { type: 'text', text: ' ' },
+      { type: 'del', children: [{ type: 'text', text: 'del' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'code' },
+      { type: 'text', text: ' ' },
+      { type: 'link', href: 'https://example.com', title: 'Title', children: [{ type: 'text', text: 'link' }] }
+    ]);
+  });
+
+  test('keeps only the text of links to unsafe URLs', () => {
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([
+      { type: 'span', children: [{ type: 'text', text: 'click' }] }
+    ]);
+  });
+
+  test('shows images as links', () => {
+    expect(parseInline('![logo](https://example.com/logo.png)')).toEqual([
+      { type: 'link', href: 'https://example.com/logo.png', title: null, children: [{ type: 'text', text: 'logo' }] }
+    ]);
+  });
+
+  test('keeps raw HTML as text', () => {
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>' }
+    ]);
+  });
+
+  test('leaves unmatched delimiters and escapes as text', () => {
+    expect(parseInline('a * b _c [d \\*e\\*')).toEqual([{ type: 'text', text: 'a * b _c [d *e*' }]);
+  });
+
+  test('does not emphasize inside words with underscores', () => {
+    expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  test('parses headings, paragraphs and rules', () => {
+    expect(parseMarkdown('# Title\n\nSome text\n\n---')).toEqual([
+      { type: 'heading', level: 1, children: [{ type: 'text', text: 'Title' }] },
+      { type: 'paragraph', children: [{ type: 'text', text: 'Some text' }] },
+      { type: 'hr' }
+    ]);
+  });
+
+  test('parses nested and task lists', () => {
+    const [list] = parseMarkdown('- [x] done\n  - nested\n- [ ] todo');
+    expect(list).toMatchObject({ type: 'list', ordered: false });
+    expect(list.items.map(item => item.checked)).toEqual([true, false]);
+    expect(list.items[0].blocks[1]).toMatchObject({ type: 'list', items: [{ checked: null }] });
+  });
+
+  test('parses fenced code with its language', () => {
+    expect(parseMarkdown('```js\nconst a = 1;\n```')).toEqual([
+      { type: 'code', lang: 'js', text: 'const a = 1;' }
+    ]);
+  });
+
+  test('parses tables with their alignment', () => {
+    const [table] = parseMarkdown('| a | b |\n|:--|--:|\n| 1 | 2 |');
+    expect(table).toMatchObject({ type: 'table', align: ['left', 'right'] });
+    expect(table.rows).toEqual([[[{ type: 'text', text: '1' }], [{ type: 'text', text: '2' }]]]);
+  });
+
+  test('keeps deeply nested quotes and lists from overflowing the stack', () => {
+    expect(() => parseMarkdown('>'.repeat(50000) + ' deep')).not.toThrow();
+    const list = Array.from({ length: 2000 }, (_, i) => `${'  '.repeat(i)}- item`).join('\n');
+    expect(() => parseMarkdown(list)).not.toThrow();
+    expect(() => parseMarkdown('*_'.repeat(20000) + 'x' + '_*'.repeat(20000))).not.toThrow();
+    expect(() => parseMarkdown('['.repeat(20000) + 'x' + '](u)'.repeat(20000))).not.toThrow();
+  });
+
+  test('parses unmatched delimiters in linear time', () => {
+    // Each of these took seconds when every delimiter rescanned the rest of the text
+    ['a * b ', 'a _b ', '[x ', '**a ', '~~a ', '`` a ` '].forEach(unit => {
+      const text = unit.repeat(Math.ceil(200000 / unit.length));
+      const started = Date.now();
+      parseMarkdown(text);
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+  });
+});
+
+describe('stripMarkdown', () => {
+  test('returns the text on one line without syntax', () => {
+    expect(stripMarkdown('# Title\n\n- **one**\n- [two](https://example.com)\n\n```\ncode\n```'))
+      .toBe('Title one two code');
+  });
+
+  test('handles empty notes', () => {
+    expect(stripMarkdown('')).toBe('');
+    expect(stripMarkdown(null)).toBe('');
+  });
+});